@@ -1,7 +1,8 @@
 /**
  * Handler analyzer for auto-documentation.
  * Detects HTTP methods and extracts basic info from handler source via handler.toString().
- * Used when endpoint metadata does not declare `methods`; otherwise explicit metadata wins.
+ * Used only when the endpoint was registered without methods (via target.get()/post()/...
+ * or metadata.methods); otherwise the registered methods win.
  */
 
 const ALL_METHODS = [
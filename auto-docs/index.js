@@ -12,11 +12,13 @@
  */
 
 import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
 import TejLogger from 'tej-logger';
 import { createProvider } from './docs-llm/index.js';
 import { generateOpenAPISpec } from './openapi/generator.js';
 import { runLevel3 } from './openapi/level3.js';
 import targetRegistry from '../server/targets/registry.js';
+import { getDefaultVersion } from '../server/targets/versioning.js';
 
 const logger = new TejLogger('Tejas.AutoDocs');
 
@@ -90,9 +92,24 @@ async function writeSpecIfNeeded(spec, outputPath, log, verbose) {
   if (verbose) log.info(`OpenAPI spec written to ${outputPath}.`);
 }
 
+/**
+ * Output path of one API version's spec: `openapi.json` → `openapi.v2.json`.
+ * @param {string} outputPath
+ * @param {string} version
+ * @returns {string}
+ */
+export function versionedOutputPath(outputPath, version) {
+  const ext = path.extname(outputPath);
+  return `${outputPath.slice(0, outputPath.length - ext.length)}.v${version}${ext}`;
+}
+
 /**
  * Generate OpenAPI 3.0 spec from the target registry using an LLM.
  *
+ * When endpoints declare API versions (metadata.version), one spec is built per
+ * version and written next to outputPath as `<name>.v<version>.json`; outputPath
+ * itself receives the default version's spec, which is also the return value.
+ *
  * @param {object} [registry] - Target registry with .targets (default: app registry)
  * @param {object} [options] - llm (required), info, servers, outputPath, level, dirTargets, overviewPath, verbose
  * @returns {Promise<object>} OpenAPI 3.0 spec object
@@ -113,7 +130,7 @@ export async function generateDocs(registry = targetRegistry, options = {}) {
   const llm = validateAndCreateLlm(llmConfig);
   logStartSummary({ ...options, llm: llmConfig }, targets.length, logger, verbose);
 
-  const spec = await generateOpenAPISpec(registry, {
+  const specOptions = {
     llm,
     info,
     servers,
@@ -121,10 +138,39 @@ export async function generateDocs(registry = targetRegistry, options = {}) {
     dirTargets,
     verbose,
     logger,
-  });
+  };
+  const versions = registry?.getVersions?.() ?? [];
 
-  logResultSummary(spec, logger, verbose);
-  await writeSpecIfNeeded(spec, outputPath, logger, verbose);
+  let spec;
+  if (versions.length === 0) {
+    spec = await generateOpenAPISpec(registry, specOptions);
+    logResultSummary(spec, logger, verbose);
+    await writeSpecIfNeeded(spec, outputPath, logger, verbose);
+  } else {
+    const specs = new Map();
+    for (const version of versions) {
+      if (verbose) logger.info(`API version ${version}:`);
+      const versionSpec = await generateOpenAPISpec(registry, {
+        ...specOptions,
+        version,
+      });
+      logResultSummary(versionSpec, logger, verbose);
+      if (outputPath) {
+        await writeSpecIfNeeded(
+          versionSpec,
+          versionedOutputPath(outputPath, version),
+          logger,
+          verbose,
+        );
+      }
+      specs.set(version, versionSpec);
+    }
+    // A configured default that no endpoint declares falls back to the latest.
+    spec =
+      specs.get(getDefaultVersion(versions)) ??
+      specs.get(versions[versions.length - 1]);
+    await writeSpecIfNeeded(spec, outputPath, logger, verbose);
+  }
 
   if (level === 3 && llm) {
     await runLevel3(spec, {
@@ -24,19 +24,36 @@ import {
   buildOperation,
 } from './spec-builders.js';
 
+/**
+ * Methods the endpoint was registered with (target.get()/post()/... or metadata.methods).
+ * The HEAD that is added automatically alongside GET is left out of the docs.
+ * @param {object} target - Endpoint-like with getMethods?()
+ * @returns {string[]|null} Registered methods, or null when the endpoint is method-agnostic
+ */
+export function getRegisteredMethods(target) {
+  const methods = target.getMethods?.();
+  if (!Array.isArray(methods) || methods.length === 0) return null;
+  return methods.includes('GET')
+    ? methods.filter((m) => m !== 'HEAD')
+    : methods;
+}
+
 /**
  * Extract path, handler, metadata, methods, groupId, tag from a registry target.
- * @param {object} target - Endpoint-like with getPath(), getHandler(), getMetadata(), getGroup?()
+ * Methods come from registration when declared; handler source analysis is the fallback.
+ * @param {object} target - Endpoint-like with getPath(), getHandler(), getMetadata(), getMethods?(), getGroup?()
  * @returns {{ path: string, handler: function|null, explicitMeta: object, methods: string[], groupId: string|null, tag: string }}
  */
 export function extractTargetInfo(target) {
   const path = target.getPath();
   const handler = target.getHandler();
   const explicitMeta = target.getMetadata() || {};
-  const analyzed = analyzeHandler(handler);
-  const methods = Array.isArray(explicitMeta.methods) && explicitMeta.methods.length > 0
-    ? explicitMeta.methods
-    : analyzed.methods;
+  const registered = getRegisteredMethods(target);
+  const methods =
+    registered ??
+    (Array.isArray(explicitMeta.methods) && explicitMeta.methods.length > 0
+      ? explicitMeta.methods
+      : analyzeHandler(handler).methods);
   const groupId = target.getGroup?.() ?? null;
   const tag = groupId != null && groupId !== '' ? groupId : 'default';
   return { path, handler, explicitMeta, methods, groupId, tag };
@@ -128,13 +145,17 @@ export async function enhanceWithLlm(endpointInfo, llm, explicitMeta, preferEnha
 /**
  * Process one registry target: analyze, optionally enhance with LLM, build meta and path params.
  * @param {object} target - Endpoint-like with getPath(), getHandler(), getMetadata(), getGroup?()
- * @param {object} options - { llm?, effectiveLevel, dirTargets, dependencyContextByGroup, useLlm, preferEnhanced, log }
+ * @param {object} options - { llm?, effectiveLevel, dirTargets, dependencyContextByGroup, useLlm, preferEnhanced, log, pathPrefix? }
+ *   pathPrefix (e.g. '/v2') is prepended to the documented path.
  * @returns {Promise<{ openAPIPath: string, tag: string, methodAgnostic: boolean, meta: object, metaByMethod: Map|null, methods: string[], pathParams: array, groupEntry: object }>}
  */
 export async function processEndpoint(target, options) {
-  const { llm, effectiveLevel, dirTargets, dependencyContextByGroup, useLlm, preferEnhanced, log } = options;
+  const { llm, effectiveLevel, dirTargets, dependencyContextByGroup, useLlm, preferEnhanced, log, pathPrefix = '' } = options;
 
-  const { path, handler, explicitMeta, methods, groupId, tag } = extractTargetInfo(target);
+  const info = extractTargetInfo(target);
+  const { handler, explicitMeta, methods, groupId, tag } = info;
+  const path =
+    pathPrefix && info.path === '/' ? pathPrefix : `${pathPrefix}${info.path}`;
   let meta = {
     summary: explicitMeta.summary || path || 'Endpoint',
     description: explicitMeta.description,
@@ -4,6 +4,10 @@
  */
 
 import { OPENAPI_VERSION } from '../constants.js';
+import {
+  STRATEGIES,
+  getVersioningConfig,
+} from '../../server/targets/versioning.js';
 import { createVerboseLogger } from '../utils/logger.js';
 import {
   processEndpoint,
@@ -25,7 +29,9 @@ import {
 /**
  * Build OpenAPI 3.0 spec from registry and options.
  * @param {object} registry - Target registry with .targets
- * @param {object} [options] - { llm?, info?, servers?, level?, dirTargets?, verbose?, logger? }
+ * @param {object} [options] - { llm?, info?, servers?, level?, dirTargets?, verbose?, logger?, version? }
+ *   When `version` is set, only endpoints serving that API version are documented, `info.version`
+ *   is the API version, and with the `url` versioning strategy paths carry the version prefix.
  * @returns {Promise<object>} OpenAPI 3.0 spec
  */
 async function generateOpenAPISpec(registry, options = {}) {
@@ -37,8 +43,21 @@ async function generateOpenAPISpec(registry, options = {}) {
     dirTargets = process.env.DIR_TARGETS || 'targets',
     verbose = false,
     logger = null,
+    version = null,
   } = options;
-  const targets = registry?.targets ?? [];
+  const allTargets = registry?.targets ?? [];
+  const targets =
+    version == null
+      ? allTargets
+      : allTargets.filter((t) => {
+          const versions = t.getVersions?.();
+          return !versions || versions.includes(version);
+        });
+  const versioning = getVersioningConfig();
+  const pathPrefix =
+    version != null && versioning.strategy === STRATEGIES.URL
+      ? `/${versioning.prefix}${version}`
+      : '';
   const paths = Object.create(null);
   const groupEndpoints = new Map();
   const dependencyContextByGroup = new Map();
@@ -57,6 +76,7 @@ async function generateOpenAPISpec(registry, options = {}) {
       useLlm,
       preferEnhanced,
       log,
+      pathPrefix,
     });
     if (!groupEndpoints.has(result.tag)) groupEndpoints.set(result.tag, []);
     groupEndpoints.get(result.tag).push(result.groupEntry);
@@ -82,7 +102,7 @@ async function generateOpenAPISpec(registry, options = {}) {
     openapi: OPENAPI_VERSION,
     info: {
       title: info.title ?? 'API',
-      version: info.version ?? '1.0.0',
+      version: version ?? info.version ?? '1.0.0',
       ...(info.description && { description: info.description }),
     },
     tags: tags.length > 0 ? tags : undefined,
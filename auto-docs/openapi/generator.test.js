@@ -10,7 +10,9 @@ import {
   buildResponses,
   buildOperation,
   mergeMetadata,
+  generateOpenAPISpec,
 } from './generator.js';
+import { extractTargetInfo } from './endpoint-processor.js';
 
 describe('openapi-generator', () => {
   describe('toOpenAPIPath', () => {
@@ -22,6 +24,11 @@ describe('openapi-generator', () => {
         '/users/{userId}/posts/{postId}',
       );
     });
+    it('reduces regex, optional and wildcard params to {name}', () => {
+      expect(toOpenAPIPath('/users/:id(\\d+)')).toBe('/users/{id}');
+      expect(toOpenAPIPath('/posts/:slug?')).toBe('/posts/{slug}');
+      expect(toOpenAPIPath('/files/*path')).toBe('/files/{path}');
+    });
     it('returns / for empty or non-string', () => {
       expect(toOpenAPIPath('')).toBe('/');
       expect(toOpenAPIPath(null)).toBe('/');
@@ -39,6 +46,13 @@ describe('openapi-generator', () => {
         schema: { type: 'string' },
       });
     });
+    it('carries regex constraints as schema pattern', () => {
+      const [param] = getPathParameters('/users/:id(\\d+)');
+      expect(param).toMatchObject({
+        name: 'id',
+        schema: { type: 'string', pattern: '\\d+' },
+      });
+    });
     it('returns empty array for path without params', () => {
       expect(getPathParameters('/users')).toEqual([]);
     });
@@ -129,4 +143,50 @@ describe('openapi-generator', () => {
       expect(merged.description).toBe('D');
     });
   });
+
+  describe('extractTargetInfo', () => {
+    const endpoint = (methods, metadata = null) => ({
+      getPath: () => '/users',
+      getHandler: () => (ammo) => {
+        if (ammo.GET) ammo.fire([]);
+        if (ammo.POST) ammo.fire(201);
+      },
+      getMetadata: () => metadata,
+      getMethods: () => methods,
+    });
+    it('uses registered methods and drops the implicit HEAD', () => {
+      expect(extractTargetInfo(endpoint(['GET', 'HEAD'])).methods).toEqual([
+        'GET',
+      ]);
+    });
+    it('falls back to handler analysis when no methods are registered', () => {
+      expect(extractTargetInfo(endpoint(null)).methods).toEqual([
+        'GET',
+        'POST',
+      ]);
+    });
+  });
+});
+
+describe('generateOpenAPISpec versions', () => {
+  const endpoint = (path, versions) => ({
+    getPath: () => path,
+    getHandler: () => (ammo) => ammo.fire(),
+    getMetadata: () => null,
+    getMethods: () => ['GET'],
+    getVersions: () => versions,
+  });
+
+  it('documents only endpoints serving the version, with the URL prefix', async () => {
+    const registry = {
+      targets: [
+        endpoint('/users', ['1']),
+        endpoint('/accounts', ['2']),
+        endpoint('/', null),
+      ],
+    };
+    const spec = await generateOpenAPISpec(registry, { version: '2' });
+    expect(Object.keys(spec.paths)).toEqual(['/v2/accounts', '/v2']);
+    expect(spec.info.version).toBe('2');
+  });
 });
@@ -5,6 +5,23 @@
 
 import { ALL_METHODS } from '../analysis/handler-analyzer.js';
 import { METHOD_KEYS } from '../constants.js';
+import {
+  SEGMENT_KINDS,
+  parsePattern,
+} from '../../server/targets/path-pattern.js';
+
+/**
+ * Parse a te.js path for docs; invalid patterns yield no segments.
+ * @param {string} path
+ * @returns {Array<object>}
+ */
+function safeParsePattern(path) {
+  try {
+    return parsePattern(path);
+  } catch {
+    return [];
+  }
+}
 
 /**
  * Returns true if the object is method-keyed metadata (keys are HTTP methods, values are { summary?, description?, request?, response? }).
@@ -29,34 +46,47 @@ export function isMethodKeyed(obj) {
 
 /**
  * Convert te.js path pattern to OpenAPI path (e.g. /users/:id -> /users/{id}).
- * @param {string} path - Route path possibly containing :param segments
+ * Regex constraints, optional markers and wildcards are reduced to `{name}`.
+ * @param {string} path - Route path possibly containing :param, :param(regex), :param? or *wildcard segments
  * @returns {string}
  */
 export function toOpenAPIPath(path) {
   if (!path || typeof path !== 'string') return '/';
-  return path.replace(/:([^/]+)/g, '{$1}');
+  const segments = safeParsePattern(path);
+  if (segments.length === 0) return path.replace(/:([^/]+)/g, '{$1}');
+  return `/${segments
+    .map((s) => (s.kind === SEGMENT_KINDS.STATIC ? s.value : `{${s.name}}`))
+    .join('/')}`;
 }
 
 /**
  * Extract path parameter definitions from a te.js path for OpenAPI.
- * @param {string} path - Route path (e.g. /users/:id)
+ * OpenAPI path params are always required; optional and wildcard params say so in their description.
+ * @param {string} path - Route path (e.g. /users/:id, /users/:id(\d+), /files/*path)
  * @returns {Array<{ name: string, in: string, required: boolean, schema: object }>}
  */
 export function getPathParameters(path) {
   if (!path || typeof path !== 'string') return [];
-  const params = [];
-  const segmentRegex = /:([^/]+)/g;
-  let match;
-  while ((match = segmentRegex.exec(path)) !== null) {
-    params.push({
-      name: match[1],
-      in: 'path',
-      required: true,
-      description: `Path parameter: ${match[1]}`,
-      schema: { type: 'string' },
+  return safeParsePattern(path)
+    .filter((s) => s.kind !== SEGMENT_KINDS.STATIC)
+    .map((s) => {
+      let description = `Path parameter: ${s.name}`;
+      if (s.kind === SEGMENT_KINDS.WILDCARD) {
+        description += ' (matches the rest of the path)';
+      } else if (s.optional) {
+        description += ' (optional)';
+      }
+      return {
+        name: s.name,
+        in: 'path',
+        required: true,
+        description,
+        schema: {
+          type: 'string',
+          ...(s.kind === SEGMENT_KINDS.REGEX && { pattern: s.source }),
+        },
+      };
     });
-  }
-  return params;
 }
 
 /**
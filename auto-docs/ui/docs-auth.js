@@ -28,18 +28,13 @@ function verifyPassword(submitted, expected) {
   return timingSafeEqual(a, b);
 }
 
-function parseCookies(header) {
-  if (!header) return {};
-  return Object.fromEntries(
-    header.split(';').map((c) => {
-      const [k, ...v] = c.trim().split('=');
-      return [k.trim(), v.join('=').trim()];
-    }),
-  );
-}
-
-function isAuthenticated(headers, password) {
-  const token = parseCookies(headers?.cookie)[COOKIE_NAME];
+/**
+ * @param {import('../../server/ammo.js').default} ammo
+ * @param {string} password
+ * @returns {boolean} True when the request carries the auth cookie for this password
+ */
+function isAuthenticated(ammo, password) {
+  const token = ammo.cookies[COOKIE_NAME];
   if (!token) return false;
   const expected = createToken(password);
   if (token.length !== expected.length) return false;
@@ -50,12 +45,16 @@ function isAuthenticated(headers, password) {
   }
 }
 
-function setAuthCookie(res, password) {
-  const token = createToken(password);
-  res.setHeader(
-    'Set-Cookie',
-    `${COOKIE_NAME}=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${COOKIE_MAX_AGE}`,
-  );
+/**
+ * @param {import('../../server/ammo.js').default} ammo
+ * @param {string} password
+ */
+function setAuthCookie(ammo, password) {
+  ammo.setCookie(COOKIE_NAME, createToken(password), {
+    httpOnly: true,
+    sameSite: 'Lax',
+    maxAge: COOKIE_MAX_AGE,
+  });
 }
 
 function buildLoginPage(error = null) {
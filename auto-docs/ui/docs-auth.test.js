@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Tests for the docs UI password cookie.
+ */
+import { describe, it, expect } from 'vitest';
+import { isAuthenticated, setAuthCookie } from './docs-auth.js';
+
+const makeAmmo = (cookies = {}) => {
+  const headers = {};
+  return {
+    cookies,
+    headers,
+    setCookie(name, value, options) {
+      headers[name] = { value, options };
+    },
+  };
+};
+
+describe('docs auth cookie', () => {
+  it('should authenticate with the cookie it sets', () => {
+    const login = makeAmmo();
+    setAuthCookie(login, 'secret');
+    const { value, options } = login.headers._tejs_docs;
+    expect(options).toMatchObject({ httpOnly: true, sameSite: 'Lax' });
+
+    expect(isAuthenticated(makeAmmo({ _tejs_docs: value }), 'secret')).toBe(
+      true,
+    );
+    expect(isAuthenticated(makeAmmo({ _tejs_docs: value }), 'other')).toBe(
+      false,
+    );
+    expect(isAuthenticated(makeAmmo(), 'secret')).toBe(false);
+  });
+});
@@ -1,7 +1,8 @@
 /**
  * Serves interactive API docs at /docs with try-out functionality.
  * Uses Scalar API Reference (modern UI, try-it-out, themes). MIT.
- * Registers internal routes: GET /docs (HTML page) and GET /docs/openapi.json (spec).
+ * Registers internal routes: GET /docs (HTML page), GET /docs/openapi.json (spec)
+ * and, when per-version specs are available, GET /docs/openapi.v<version>.json.
  *
  * @see https://scalar.com/products/api-references/integrations/html-js
  * @see https://scalar.com/products/api-references/configuration
@@ -149,14 +150,14 @@ function createDocsHtmlEndpoint(docsPath, htmlContent, password) {
 
       if (ammo.POST) {
         if (verifyPassword(ammo.payload?.password, password)) {
-          setAuthCookie(ammo.res, password);
+          setAuthCookie(ammo, password);
           return ammo.redirect(docsPath);
         }
         sendHtml(ammo.res, 401, loginError);
         return;
       }
 
-      if (isAuthenticated(ammo.headers, password)) {
+      if (isAuthenticated(ammo, password)) {
         sendHtml(ammo.res, 200, htmlContent);
       } else {
         sendHtml(ammo.res, 200, loginPage);
@@ -186,7 +187,7 @@ function createDocsHtmlEndpoint(docsPath, htmlContent, password) {
  * Returns 401 for unauthenticated requests when a password is set,
  * or 403 when docs are disabled (production without DOCS_PASSWORD).
  * @param {string} specPath - e.g. '/docs/openapi.json'
- * @param {() => object | Promise<object>} getSpec - Function that returns the current spec
+ * @param {(params: object) => object | null | Promise<object | null>} getSpec - Function that returns the current spec, given the route params; null answers 404
  * @param {string|null} [password] - Optional password to protect docs
  * @returns {Endpoint}
  */
@@ -207,12 +208,16 @@ function createSpecJsonEndpoint(specPath, getSpec, password) {
 
   endpoint.setHandler(async (ammo) => {
     if (!ammo.GET) return ammo.notAllowed();
-    if (password && !isAuthenticated(ammo.headers, password)) {
+    if (password && !isAuthenticated(ammo, password)) {
       sendJson(ammo.res, 401, { error: 'Unauthorized' });
       return;
     }
     try {
-      const spec = await Promise.resolve(getSpec());
+      const spec = await Promise.resolve(getSpec(ammo.params));
+      if (spec == null) {
+        sendJson(ammo.res, 404, { error: 'Not Found' });
+        return;
+      }
       sendJson(ammo.res, 200, spec);
     } catch (err) {
       sendJson(ammo.res, 500, {
@@ -233,14 +238,16 @@ function createSpecJsonEndpoint(specPath, getSpec, password) {
  * @param {string} [options.docsPath='/docs'] - Base path for docs (HTML page and spec URL). Routes: GET {docsPath}, GET {docsPath}/openapi.json.
  * @param {string} [options.specUrl] - Override for the spec URL shown in the docs page (default: '{docsPath}/openapi.json'). Use when serving behind a proxy with a different base path.
  * @param {object} [options.scalarConfig] - Optional Scalar API Reference config (e.g. { layout: 'classic' } for try-it on the same page).
+ * @param {(version: string) => object | null | Promise<object | null>} [options.getVersionSpec] - Function that returns the spec of one API version, or null when there is none. When set, GET {docsPath}/openapi.v<version>.json serves it (404 for null).
  * @param {string|null} [options.password] - Optional password to protect docs behind a login form. When set, unauthenticated visitors see a password prompt.
- * @param {boolean} [options.mutateRegistry=true] - If true, push endpoints to registry. If false, return [docsEndpoint, specEndpoint] without mutating.
+ * @param {boolean} [options.mutateRegistry=true] - If true, register endpoints on the registry. If false, return [docsEndpoint, specEndpoint, versionSpecEndpoint?] without mutating.
  * @param {object} [registry] - Target registry to register routes on when mutateRegistry is true. Defaults to the module's targetRegistry.
- * @returns {undefined | [Endpoint, Endpoint]} When mutateRegistry is false, returns the two endpoints for the caller to register.
+ * @returns {undefined | Endpoint[]} When mutateRegistry is false, returns the endpoints for the caller to register.
  */
 export function registerDocRoutes(options = {}, registry = targetRegistry) {
   const {
     getSpec,
+    getVersionSpec,
     docsPath = '/docs',
     specUrl: specUrlOption,
     scalarConfig,
@@ -261,13 +268,23 @@ export function registerDocRoutes(options = {}, registry = targetRegistry) {
 
   const docsEndpoint = createDocsHtmlEndpoint(docsPath, htmlContent, password);
   const specEndpoint = createSpecJsonEndpoint(specPath, getSpec, password);
+  const endpoints = [docsEndpoint, specEndpoint];
+  if (typeof getVersionSpec === 'function') {
+    endpoints.push(
+      createSpecJsonEndpoint(
+        `${basePath}/:spec(openapi\\.v[\\w.-]+\\.json)`,
+        ({ spec }) =>
+          getVersionSpec(spec.slice('openapi.v'.length, -'.json'.length)),
+        password,
+      ),
+    );
+  }
 
   if (mutateRegistry) {
-    registry.targets.push(docsEndpoint);
-    registry.targets.push(specEndpoint);
+    registry.register(endpoints);
     return;
   }
-  return [docsEndpoint, specEndpoint];
+  return endpoints;
 }
 
 export { buildDocsPage };
@@ -18,7 +18,7 @@ import { stdin } from 'node:process';
 import c from 'ansi-colors';
 import 'tej-env';
 import { loadConfigFile } from '../utils/configuration.js';
-import { findTargetFiles } from '../utils/auto-register.js';
+import { findTargetFiles, targetGroupId } from '../utils/auto-register.js';
 import targetRegistry from '../server/targets/registry.js';
 import { generateDocs } from '../auto-docs/index.js';
 import { buildDocsPage } from '../auto-docs/ui/docs-ui.js';
@@ -66,9 +66,7 @@ async function loadTargetFiles(dirTargets = 'targets') {
     const fullPath = path.isAbsolute(parentPath)
       ? path.join(parentPath, file.name)
       : path.join(baseDir, parentPath, file.name);
-    const relativePath = path.relative(baseDir, fullPath);
-    const groupId =
-      relativePath.replace(/\.target\.js$/i, '').replace(/\\/g, '/') || 'index';
+    const groupId = targetGroupId(baseDir, fullPath);
     targetRegistry.setCurrentSourceGroup(groupId);
     try {
       await import(pathToFileURL(fullPath).href);
@@ -54,15 +54,18 @@ function resolveEntryPoint(cliArg) {
 
 /**
  * Resolves the entry point and spawns the server process. Exits with the child's exit code.
+ * With `--watch`, the server hot-reloads target files when they change (sets WATCH=true for the child).
  */
 export function runFlyCommand() {
-  const cliArg = process.argv[3]; // tejas fly [file]
+  const args = process.argv.slice(3); // tejas fly [file] [--watch]
+  const cliArg = args.find((arg) => !arg.startsWith('--'));
+  const watch = args.includes('--watch');
   const entryFile = resolveEntryPoint(cliArg);
 
   const child = spawn(process.execPath, [entryFile], {
     stdio: 'inherit',
     cwd: process.cwd(),
-    env: process.env,
+    env: watch ? { ...process.env, WATCH: 'true' } : process.env,
   });
 
   child.on('exit', (code, signal) => {
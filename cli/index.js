@@ -2,7 +2,7 @@
 
 /**
  * CLI entry point for te.js (tejas).
- * Usage: tejas fly [file] | tejas generate:docs [--ci] | tejas docs:on-push
+ * Usage: tejas fly [file] [--watch] | tejas generate:docs [--ci] | tejas docs:on-push
  */
 
 import { runDocsCommand, runDocsCommandCI, runDocsOnPush } from './docs-command.js';
@@ -42,13 +42,14 @@ tejas - te.js framework CLI
 Usage: tejas <command> [options]
 
 Commands:
-  fly [file]             Start the Tejas server
+  fly [file] [--watch]   Start the Tejas server (--watch: hot-reload target files)
   generate:docs [--ci]   OpenAPI documentation generator (interactive or CI mode)
   docs:on-push           Generate docs when pushing to production branch (use in pre-push hook)
 
 Examples:
   tejas fly
   tejas fly index.js
+  tejas fly --watch
   tejas generate:docs
   tejas generate:docs --ci
   tejas docs:on-push
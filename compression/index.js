@@ -0,0 +1,219 @@
+import zlib from 'node:zlib';
+import { addVary } from '../server/ammo/negotiation.js';
+
+/** Encodings the middleware can produce, in order of preference. */
+const ENCODINGS = ['br', 'gzip', 'deflate'];
+
+/**
+ * Text-like types that shrink when compressed. Images, audio, video, archives
+ * and fonts are already compressed; event streams must reach the client
+ * event by event.
+ */
+const COMPRESSIBLE =
+  /^(text\/(?!event-stream)|application\/(javascript|json|xml|x-ndjson|x-www-form-urlencoded|graphql)|image\/svg\+xml)|[+/](json|xml)$/;
+
+/**
+ * @param {string|number|string[]|undefined} value - Content-Type response header
+ * @returns {boolean}
+ */
+const isCompressible = (value) =>
+  COMPRESSIBLE.test(
+    String(value ?? '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase(),
+  );
+
+/**
+ * Pick an encoding from the Accept-Encoding request header: the highest
+ * q-value wins, ties go to the order of `available`. `*` covers encodings not
+ * listed.
+ *
+ * @param {string} [header] - Accept-Encoding request header
+ * @param {string[]} available - Encodings the server can produce
+ * @returns {string|null} An encoding, or null to send the body as-is
+ */
+const chooseEncoding = (header, available) => {
+  const weights = new Map();
+  for (const part of String(header ?? '').split(',')) {
+    const [name, ...params] = part.split(';').map((s) => s.trim());
+    if (!name) continue;
+    const q = params.find((p) => p.toLowerCase().startsWith('q='));
+    weights.set(name.toLowerCase(), q ? Number(q.slice(2)) : 1);
+  }
+
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of available) {
+    const q = weights.get(encoding) ?? weights.get('*') ?? 0;
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+};
+
+/**
+ * @param {string} encoding - One of ENCODINGS
+ * @param {{ level: number, streaming: boolean }} options - `streaming` flushes
+ *   every write, so chunks of a streamed body are not held back
+ * @returns {import('node:zlib').Gzip|import('node:zlib').Deflate|import('node:zlib').BrotliCompress}
+ */
+const createEncoder = (encoding, { level, streaming }) => {
+  if (encoding === 'br') {
+    return zlib.createBrotliCompress({
+      ...(streaming && { flush: zlib.constants.BROTLI_OPERATION_FLUSH }),
+      params: {
+        // Quality 11 (the default) is meant for static assets, not live responses.
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 4,
+      },
+    });
+  }
+  const options = {
+    level,
+    ...(streaming && { flush: zlib.constants.Z_SYNC_FLUSH }),
+  };
+  return encoding === 'gzip'
+    ? zlib.createGzip(options)
+    : zlib.createDeflate(options);
+};
+
+/**
+ * Response compression middleware factory. Compresses text-like responses
+ * (JSON, HTML, CSS, JavaScript, XML, CSV, SVG...) with brotli, gzip or
+ * deflate, according to the request's Accept-Encoding header.
+ *
+ * The middleware wraps `ammo.res`, so everything written after it runs is
+ * covered: fire(), stream() and direct writes. Responses are sent as-is when
+ * they are smaller than `threshold` (if their length is known), already have a
+ * Content-Encoding, are partial (206), or carry `Cache-Control: no-transform`.
+ * A HEAD response gets the headers the matching GET would have, without an
+ * encoder, and a 304 the `Vary` and (weakened) `ETag` of the 200 it stands for.
+ *
+ * @param {Object} [config]
+ * @param {number} [config.threshold=1024] - Minimum body size in bytes
+ * @param {number} [config.level] - gzip/deflate level, 0-9 (zlib's default when omitted)
+ * @param {boolean} [config.brotli=true] - Offer brotli to clients that accept it
+ * @returns {Function} Middleware (ammo, next)
+ */
+function compressionMiddleware(config = {}) {
+  const {
+    threshold = 1024,
+    level = zlib.constants.Z_DEFAULT_COMPRESSION,
+    brotli = true,
+  } = config;
+  const available = brotli ? ENCODINGS : ENCODINGS.slice(1);
+
+  return async (ammo, next) => {
+    const { req, res } = ammo;
+    const writeHead = res.writeHead;
+    const write = res.write;
+    const end = res.end;
+    let encoder = null;
+
+    /**
+     * Decide, once the status and headers are final, whether to compress.
+     * @param {number} statusCode
+     */
+    const start = (statusCode) => {
+      // A 304 gets the Vary and ETag of the 200 it stands for. fire() leaves
+      // that body's type and length on ammo; a 304 without them counts as
+      // compressible.
+      const notModified = statusCode === 304;
+      const represented = notModified ? ammo._notModified : null;
+      const type = res.getHeader('Content-Type') ?? represented?.contentType;
+      if (!(notModified && type == null) && !isCompressible(type)) return;
+      addVary(res, 'Accept-Encoding');
+
+      const length = notModified
+        ? represented?.length
+        : res.getHeader('Content-Length');
+      if (
+        statusCode < 200 ||
+        statusCode === 204 ||
+        statusCode === 206 ||
+        res.getHeader('Content-Encoding') ||
+        /\bno-transform\b/i.test(
+          String(res.getHeader('Cache-Control') ?? ''),
+        ) ||
+        (length != null && Number(length) < threshold)
+      ) {
+        return;
+      }
+
+      const encoding = chooseEncoding(
+        req.headers['accept-encoding'],
+        available,
+      );
+      if (!encoding) return;
+
+      // Strong validators and byte ranges describe the uncompressed body.
+      const etag = res.getHeader('ETag');
+      if (typeof etag === 'string' && !etag.startsWith('W/')) {
+        res.setHeader('ETag', `W/${etag}`);
+      }
+      if (notModified) return;
+      res.setHeader('Content-Encoding', encoding);
+      res.removeHeader('Content-Length');
+      res.removeHeader('Accept-Ranges');
+      if (req.method === 'HEAD') return;
+
+      encoder = createEncoder(encoding, { level, streaming: length == null });
+
+      encoder.on('data', (chunk) => {
+        if (write.call(res, chunk) === false) encoder.pause();
+      });
+      encoder.on('drain', () => res.emit('drain'));
+      encoder.on('end', () => end.call(res));
+      encoder.on('error', (err) => res.destroy(err));
+      res.on('drain', () => encoder.resume());
+      res.on('close', () => encoder.destroy());
+    };
+
+    res.writeHead = function (statusCode, ...args) {
+      // Fold headers passed here into the response so start() can read them.
+      const headers =
+        typeof args[args.length - 1] === 'object' ? args.pop() : null;
+      if (headers && !Array.isArray(headers)) {
+        for (const [name, value] of Object.entries(headers)) {
+          if (value !== undefined) res.setHeader(name, value);
+        }
+      }
+      if (!res.headersSent) start(statusCode);
+      return writeHead.call(res, statusCode, ...args);
+    };
+
+    res.write = function (chunk, encoding, callback) {
+      if (!res.headersSent) res.writeHead(res.statusCode);
+      return encoder
+        ? encoder.write(chunk, encoding, callback)
+        : write.call(res, chunk, encoding, callback);
+    };
+
+    res.end = function (chunk, encoding, callback) {
+      if (typeof chunk === 'function') [chunk, callback] = [undefined, chunk];
+      else if (typeof encoding === 'function') {
+        [encoding, callback] = [undefined, encoding];
+      }
+
+      if (!res.headersSent) {
+        // The whole body is known: let the threshold apply to it.
+        if (chunk != null && !res.hasHeader('Content-Length')) {
+          res.setHeader('Content-Length', Buffer.byteLength(chunk, encoding));
+        }
+        res.writeHead(res.statusCode);
+      }
+      if (!encoder) return end.call(res, chunk, encoding, callback);
+
+      if (callback) res.once('finish', callback);
+      if (chunk != null) encoder.end(chunk, encoding);
+      else encoder.end();
+      return res;
+    };
+
+    await next();
+  };
+}
+
+export default compressionMiddleware;
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Tests for the response compression middleware.
+ */
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { request as httpRequest } from 'node:http';
+import { gunzipSync } from 'node:zlib';
+import compressionMiddleware from './index.js';
+import registry from '../server/targets/registry.js';
+import Target from '../server/target.js';
+import { startTestServer } from '../tests/helpers/test-utils.js';
+
+const rows = Array.from({ length: 200 }, (_, id) => ({ id, name: 'row' }));
+
+let stop;
+let base;
+
+/** Raw request, so the body is not decompressed for us. */
+const request = (path, headers = {}, method = 'GET') =>
+  new Promise((resolve, reject) => {
+    httpRequest(`${base}${path}`, { headers, method }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () =>
+        resolve({ res, headers: res.headers, body: Buffer.concat(chunks) }),
+      );
+    })
+      .on('error', reject)
+      .end();
+  });
+
+const use = (config) => {
+  registry.globalMiddlewares = [compressionMiddleware(config)];
+};
+
+beforeAll(async () => {
+  ({ base, stop } = await startTestServer());
+  const target = new Target();
+  target.get('/rows', (ammo) => ammo.fire(rows));
+  target.get('/rows/tagged', { etag: 'strong' }, (ammo) => ammo.fire(rows));
+  target.get('/small', { etag: 'strong' }, (ammo) => ammo.fire({ ok: true }));
+  target.get('/image', (ammo) =>
+    ammo.stream([Buffer.alloc(4096)], { contentType: 'image/png' }),
+  );
+  target.get('/events', (ammo) => {
+    const channel = ammo.sse({ heartbeat: 0 });
+    channel.send('x'.repeat(2048));
+    channel.close();
+  });
+  target.get('/ndjson', async (ammo) => {
+    async function* lines() {
+      for (const row of rows) yield `${JSON.stringify(row)}\n`;
+    }
+    await ammo.stream(lines(), { contentType: 'application/x-ndjson' });
+  });
+});
+
+afterEach(() => {
+  registry.globalMiddlewares = [];
+});
+
+afterAll(async () => {
+  await stop();
+});
+
+describe('compressionMiddleware', () => {
+  it('should gzip large JSON responses', async () => {
+    use();
+
+    const { headers, body } = await request('/rows', {
+      'Accept-Encoding': 'gzip',
+    });
+    expect(headers['content-encoding']).toBe('gzip');
+    expect(headers['vary']).toContain('Accept-Encoding');
+    expect(headers['content-length']).toBeUndefined();
+    expect(JSON.parse(gunzipSync(body))).toEqual({ data: rows });
+  });
+
+  it('should negotiate the encoding', async () => {
+    use();
+    const encodingFor = async (accept, config) => {
+      if (config) use(config);
+      return (await request('/rows', { 'Accept-Encoding': accept })).headers[
+        'content-encoding'
+      ];
+    };
+
+    expect(await encodingFor('gzip, deflate, br')).toBe('br');
+    expect(await encodingFor('br;q=0.5, gzip')).toBe('gzip');
+    expect(await encodingFor('deflate')).toBe('deflate');
+    expect(await encodingFor('*')).toBe('br');
+    expect(await encodingFor('identity')).toBeUndefined();
+    expect(await encodingFor('br, gzip;q=0.1', { brotli: false })).toBe('gzip');
+  });
+
+  it('should send small responses as-is but still vary', async () => {
+    use({ threshold: 1024 });
+
+    const { headers, body } = await request('/small', {
+      'Accept-Encoding': 'gzip',
+    });
+    expect(headers['content-encoding']).toBeUndefined();
+    expect(headers['vary']).toContain('Accept-Encoding');
+    expect(JSON.parse(body)).toEqual({ data: { ok: true } });
+  });
+
+  it('should skip incompressible types and event streams', async () => {
+    use({ threshold: 0 });
+    const accept = { 'Accept-Encoding': 'gzip' };
+
+    const image = await request('/image', accept);
+    expect(image.headers['content-encoding']).toBeUndefined();
+    expect(image.headers['vary']).toBeUndefined();
+    expect(image.body.length).toBe(4096);
+
+    const events = await request('/events', accept);
+    expect(events.headers['content-encoding']).toBeUndefined();
+    expect(events.body.toString()).toContain('x'.repeat(2048));
+  });
+
+  it('should send the GET headers for HEAD without a body', async () => {
+    use();
+
+    const accept = { 'Accept-Encoding': 'gzip' };
+    const get = await request('/rows/tagged', accept);
+    const head = await request('/rows/tagged', accept, 'HEAD');
+    expect(head.headers['content-encoding']).toBe('gzip');
+    expect(head.headers['content-length']).toBeUndefined();
+    expect(head.headers['vary']).toBe('Accept-Encoding');
+    expect(head.headers['etag']).toMatch(/^W\//);
+    expect(head.headers['etag']).toBe(get.headers['etag']);
+    expect(head.body.length).toBe(0);
+  });
+
+  it('should send the validators of the encoded 200 with a 304', async () => {
+    use();
+    const accept = { 'Accept-Encoding': 'gzip' };
+
+    const ok = await request('/rows/tagged', accept);
+    expect(ok.headers['etag']).toMatch(/^W\//);
+    const notModified = await request('/rows/tagged', {
+      ...accept,
+      'If-None-Match': ok.headers['etag'],
+    });
+    expect(notModified.res.statusCode).toBe(304);
+    expect(notModified.headers['etag']).toBe(ok.headers['etag']);
+    expect(notModified.headers['vary']).toBe('Accept-Encoding');
+    expect(notModified.headers['content-encoding']).toBeUndefined();
+
+    // Below the threshold the 200 is sent as-is, with its strong ETag.
+    const small = await request('/small', accept);
+    expect(small.headers['etag']).toMatch(/^"/);
+    const smallNotModified = await request('/small', {
+      ...accept,
+      'If-None-Match': small.headers['etag'],
+    });
+    expect(smallNotModified.res.statusCode).toBe(304);
+    expect(smallNotModified.headers['etag']).toBe(small.headers['etag']);
+  });
+
+  it('should compress streamed responses', async () => {
+    use();
+
+    const { headers, body } = await request('/ndjson', {
+      'Accept-Encoding': 'gzip',
+    });
+    expect(headers['content-encoding']).toBe('gzip');
+    expect(headers['transfer-encoding']).toBe('chunked');
+    const lines = gunzipSync(body).toString().trim().split('\n');
+    expect(lines.map((line) => JSON.parse(line))).toEqual(rows);
+  });
+});
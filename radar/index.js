@@ -379,19 +379,29 @@ async function radarMiddleware(config = {}) {
     const traceId = randomUUID().replace(/-/g, '');
     const spanCtx = createSpanContext(traceId);
 
-    ammo.res.on('finish', () => {
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
       const path = ammo.endpoint ?? ammo.path ?? '/';
 
       if (ammo.method === 'OPTIONS' || ignorePaths.has(path)) return;
 
       const status = ammo.res.statusCode;
       const endTimestamp = Date.now();
-      const duration = endTimestamp - startTime;
+      // A Server-Sent Events request lasts as long as the client listens: its
+      // duration is the time to open the stream, and the stream's lifetime
+      // is recorded as a separate span.
+      const sse = ammo._sse;
+      const duration = (sse ? sse.openedAt : endTimestamp) - startTime;
       const payloadSize = Buffer.byteLength(
         JSON.stringify(ammo.payload ?? {}),
         'utf8',
       );
-      const responseSize = Buffer.byteLength(ammo.dispatchedData ?? '', 'utf8');
+      const responseSize =
+        sse?.bytesSent ??
+        ammo.dispatchedBytes ??
+        Buffer.byteLength(ammo.dispatchedData ?? '', 'utf8');
       const ip = ammo.ip ?? null;
       const userAgent = ammo.headers?.['user-agent'] ?? null;
       const headers = capJsonBlob(buildHeaders(ammo.headers, capture.headers));
@@ -417,6 +427,18 @@ async function radarMiddleware(config = {}) {
           });
         }
 
+        if (sse) {
+          spanCtx.addSpan(
+            `sse:${path}`,
+            'other',
+            spanCtx.rootSpanId,
+            sse.openedAt,
+            endTimestamp - sse.openedAt,
+            status,
+            { events: sse.eventsSent, bytes: sse.bytesSent },
+          );
+        }
+
         // Finalize root span — added last so middleware spans already
         // reference rootSpanId as their parentId.
         spanCtx.addSpan(
@@ -455,6 +477,10 @@ async function radarMiddleware(config = {}) {
           request_body: requestBody,
           response_body: responseBody,
           error: errorField,
+          ...(sse && {
+            stream: 'sse',
+            stream_duration_ms: endTimestamp - sse.openedAt,
+          }),
         });
 
         if (status >= 400) {
@@ -492,6 +518,12 @@ async function radarMiddleware(config = {}) {
       } else {
         pushEvents();
       }
+    };
+
+    ammo.res.on('finish', record);
+    // Streams usually end with the client disconnecting, which skips 'finish'.
+    ammo.res.on('close', () => {
+      if (ammo._sse) record();
     });
 
     traceStore.run({ traceId, spanCtx }, () => next());
@@ -1,4 +1,21 @@
+import { pipeline } from 'node:stream/promises';
 import { statusAndData } from './ammo/dispatch-helper.js';
+import SseChannel from './ammo/sse.js';
+import { negotiate, addVary } from './ammo/negotiation.js';
+import {
+  generateEtag,
+  isNotModified,
+  preconditionFailed,
+} from './ammo/conditional.js';
+import {
+  getCookieSecrets,
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+  encryptCookie,
+  decryptCookie,
+} from './ammo/cookies.js';
 import {
   isStatusCode,
   toStatusCode,
@@ -7,6 +24,14 @@ import {
 import html from '../utils/tejas-entrypoint-html.js';
 import ammoEnhancer from './ammo/enhancer.js';
 import TejError from './error.js';
+import {
+  PROBLEM_CONTENT_TYPE,
+  isProblemDetailsEnabled,
+  buildProblem,
+} from './ammo/problem-details.js';
+import { getRequestStore } from './context/request-context.js';
+import targetRegistry from './targets/registry.js';
+import urlFor from './targets/url-for.js';
 import { getErrorsLlmConfig } from '../utils/errors-llm-config.js';
 import { inferErrorFromContext } from './errors/llm-error-service.js';
 import { captureCodeContext } from './errors/code-context.js';
@@ -19,6 +44,15 @@ import TejLogger from 'tej-logger';
 
 const logger = new TejLogger('Tejas.Ammo');
 
+/** Shorthands accepted by ammo.type(). */
+const MEDIA_TYPES = {
+  json: 'application/json',
+  html: 'text/html',
+  text: 'text/plain',
+  xml: 'application/xml',
+  csv: 'text/csv',
+};
+
 /**
  * Detect if the value is a throw() options object (per-call overrides).
  * @param {unknown} v
@@ -181,8 +215,23 @@ class Ammo {
     // Request related data
     this.ip = undefined;
     this.headers = undefined;
+    /** Query string parameters. @type {Object<string, string>|undefined} */
+    this.query = undefined;
+    /** Parsed request body. @type {unknown} */
+    this.body = undefined;
+    /** Route parameters, e.g. `id` for `/users/:id`. @type {Object<string, string>|undefined} */
+    this.params = undefined;
+    /** Query, body and params merged (see `payload.precedence`). */
     this.payload = undefined;
     this.method = undefined;
+    /** API version the request was routed with (see versioning), or null. */
+    this.version = undefined;
+    /**
+     * Aborted when the request times out (see `request.timeout`). Pass it to
+     * fetch(), database drivers, etc. to stop work nobody is waiting for.
+     * @type {AbortSignal|undefined}
+     */
+    this.signal = undefined;
 
     // URL related data
     this.protocol = undefined;
@@ -194,6 +243,22 @@ class Ammo {
 
     // Response related data
     this.dispatchedData = undefined;
+    /** Bytes written by stream() or sse(); null for fire() responses (see dispatchedData). */
+    this.dispatchedBytes = null;
+    /** Channel opened by sse(), read by the radar middleware. @type {SseChannel|null} */
+    this._sse = null;
+    /** Media type chosen by format(), used by fire() for string data. */
+    this._formatType = null;
+    /** Status set by status(), used by send() and the helpers built on it. @type {number|null} */
+    this._status = null;
+    /** Content-Type set by type(), used by send(). @type {string|null} */
+    this._type = null;
+    /** ETag mode of the endpoint, set by the handler (see getEtagMode()). @type {'strong'|'weak'|null} */
+    this._etagMode = null;
+    /** Type and length of the body a 304 sent by fire() stands for, read by the compression middleware. @type {{ contentType: string, length: number }|null} */
+    this._notModified = null;
+    /** Request cookies, parsed on first access to `cookies`. @type {Object<string, string>|null} */
+    this._cookies = null;
 
     /**
      * Resolved error info stashed after ammo.throw() completes.
@@ -249,6 +314,20 @@ class Ammo {
    * 4. Two arguments (number, data): Sends a response with the given status code and data
    * 5. Three arguments: Sends a response with the given status code, data, and content type
    *
+   * For HEAD requests only the headers are sent, with the Content-Length the
+   * body would have had.
+   *
+   * Object data in a 2xx response is sent as JSON unless the client's Accept
+   * header prefers another type with a registered serializer (see
+   * registerSerializer()). Without registered serializers, no negotiation
+   * happens.
+   *
+   * A 200 response to GET or HEAD gets an ETag of its body when ETags are
+   * enabled (`response.etag` or the endpoint's `etag` metadata). When the
+   * response has an ETag or Last-Modified header and the request's
+   * If-None-Match / If-Modified-Since shows the client's copy is current,
+   * `304 Not Modified` is sent without a body.
+   *
    * The fire method can be used with any HTTP status code, including error codes (4xx, 5xx).
    * For error responses, you can use either fire() or throw(). The main difference is that
    * throw() can accept an Error instance and has special handling for it, while fire() only
@@ -280,24 +359,375 @@ class Ammo {
    * ammo.fire('Hello World');
    */
   fire() {
-    const { statusCode, data, contentType } = statusAndData(arguments);
-    const contentTypeHeader = { 'Content-Type': contentType };
+    const { statusCode, data, contentType, negotiated } = statusAndData(
+      arguments,
+      { accept: this.headers?.accept, preferredType: this._formatType },
+    );
+    const body = data ?? '';
+    const headers = { 'Content-Type': contentType };
+    if (negotiated) addVary(this.res, 'Accept');
+    if (statusCode >= 200 && statusCode !== 204 && statusCode !== 304) {
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    if (
+      statusCode === 200 &&
+      (this.method === 'GET' || this.method === 'HEAD')
+    ) {
+      if (this._etagMode && !this.res.hasHeader('ETag')) {
+        this.res.setHeader(
+          'ETag',
+          generateEtag(body, this._etagMode === 'weak'),
+        );
+      }
+      const etag = this.res.getHeader('ETag');
+      const lastModified = this.res.getHeader('Last-Modified');
+      if (
+        (etag || lastModified) &&
+        isNotModified(this.headers ?? {}, { etag, lastModified })
+      ) {
+        this.dispatchedData = '';
+        this._notModified = { contentType, length: Buffer.byteLength(body) };
+        this.res.writeHead(304);
+        this.res.end();
+        return;
+      }
+    }
 
     this.dispatchedData = data;
 
-    this.res.writeHead(statusCode, contentTypeHeader);
-    this.res.write(data ?? '');
+    this.res.writeHead(statusCode, headers);
+    // HEAD gets the headers (including Content-Length) of the GET response only.
+    this.res.end(this.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Checks the request's preconditions (If-Match, If-Unmodified-Since,
+   * If-None-Match) against the current state of the resource, before a
+   * handler changes it. Call it in PUT, PATCH and DELETE handlers to reject
+   * updates based on a stale copy (lost updates). Endpoints with `validator`
+   * metadata have it called before the handler with the state the validator
+   * returns; otherwise these headers are not checked, even with ETags enabled.
+   *
+   * @param {Object} [current] - The resource as it is now; omit it, or pass
+   *   `{ data: null }`, when the resource does not exist
+   * @param {unknown} [current.data] - Its representation, as `ammo.fire(data)` sends it
+   *   to GET requests; compared through its strong ETag
+   * @param {string} [current.etag] - Its ETag, when computed by the application
+   * @param {Date|string|number} [current.lastModified] - When it last changed
+   * @throws {TejError} 412 Precondition Failed when a precondition does not hold
+   *
+   * @description
+   * If-Match uses the strong comparison, so it only matches ETags sent in
+   * strong mode (`etag: true` or `'strong'`). `If-Match: *` fails when the
+   * resource does not exist; `If-None-Match: *` fails when it does.
+   *
+   * @example
+   * target.put('/users/:id', async (ammo) => {
+   *   const user = await users.find(ammo.params.id);
+   *   ammo.precondition({ data: user });
+   *   ammo.fire(await users.update(ammo.params.id, ammo.payload));
+   * });
+   */
+  precondition({ data, etag, lastModified } = {}) {
+    const exists = data != null || etag != null || lastModified != null;
+    const current =
+      etag ?? (data != null ? generateEtag(statusAndData([data]).data) : null);
+    if (
+      preconditionFailed(this.headers ?? {}, {
+        etag: current,
+        lastModified,
+        exists,
+      })
+    ) {
+      throw new TejError(412, 'Precondition Failed');
+    }
+  }
+
+  /**
+   * Responds according to the media types the client accepts.
+   *
+   * @param {Object<string, (ammo: Ammo) => any>} handlers - Handler per media type
+   *   (e.g. 'text/html'); a `default` key handles clients that accept none of them
+   * @returns {any} What the chosen handler returns (await it for async handlers)
+   * @throws {TejError} 406 Not Acceptable when no type is acceptable and there is no `default`
+   *
+   * @description
+   * The Accept header is parsed with q-values: the type with the highest
+   * quality wins, more specific ranges (`text/html`) override broader ones
+   * (`text/*`, `*\/*`), and ties go to the order of the handlers. Without an
+   * Accept header the first handler is used. `Vary: Accept` is added to the
+   * response. A 2xx fire() with string data made by the handler is sent as-is
+   * with the chosen type as Content-Type (JSON types keep the envelope).
+   *
+   * @example
+   * ammo.format({
+   *   'application/json': () => ammo.fire(report),
+   *   'text/html': () => ammo.fire(renderReport(report)),
+   *   'text/csv': () => ammo.fire(toCsv(report.rows)),
+   * });
+   */
+  format(handlers) {
+    const types = Object.keys(handlers).filter((type) => type !== 'default');
+    const type = negotiate(this.headers?.accept, types);
+    addVary(this.res, 'Accept');
+
+    if (type) {
+      this._formatType = type;
+      return handlers[type](this);
+    }
+    if (typeof handlers.default === 'function') return handlers.default(this);
+    throw new TejError(406, 'Not Acceptable');
+  }
+
+  /**
+   * Sets the status code sent by send(), json(), text(), html() or empty().
+   *
+   * @param {number} code - HTTP status code
+   * @returns {Ammo} This ammo, for chaining
+   * @throws {TypeError} When the code is not a known HTTP status
+   * @throws {TejError} When the response has already been sent
+   *
+   * @example
+   * ammo.status(201).header('Location', `/users/${user.id}`).json(user);
+   */
+  status(code) {
+    this._assertNotSent('status');
+    if (!Number.isInteger(code) || !isStatusCode(code)) {
+      throw new TypeError(`Invalid HTTP status code: ${code}`);
+    }
+    this._status = code;
+    return this;
+  }
+
+  /**
+   * Sets a response header.
+   *
+   * @param {string} name
+   * @param {string|number|string[]} value
+   * @returns {Ammo} This ammo, for chaining
+   * @throws {TejError} When the response has already been sent
+   */
+  header(name, value) {
+    this._assertNotSent('header');
+    this.res.setHeader(name, value);
+    return this;
+  }
+
+  /**
+   * Sets the Content-Type sent by send().
+   *
+   * @param {string} type - A media type, or one of `json`, `html`, `text`,
+   *   `xml` and `csv`
+   * @returns {Ammo} This ammo, for chaining
+   * @throws {TypeError} When the type is neither a media type nor a known shorthand
+   * @throws {TejError} When the response has already been sent
+   */
+  type(type) {
+    this._assertNotSent('type');
+    const mediaType = String(type).includes('/') ? type : MEDIA_TYPES[type];
+    if (!mediaType) throw new TypeError(`Unknown content type: ${type}`);
+    this._type = mediaType;
+    return this;
+  }
+
+  /**
+   * Sends the response with the status, headers and type set by status(),
+   * header() and type(). The status defaults to 200 and the data goes
+   * through fire(), so the envelope and content negotiation apply as usual;
+   * a string or Buffer sent with a non-JSON type() is sent as-is.
+   *
+   * @param {unknown} [data]
+   * @throws {TejError} When the response has already been sent
+   *
+   * @example
+   * ammo.status(202).header('Retry-After', '30').send({ queued: true });
+   * ammo.type('xml').send('<ok/>');
+   */
+  send(data) {
+    this._assertNotSent('send');
+    const statusCode = this._status ?? 200;
+    const args = data === undefined ? [statusCode] : [statusCode, data];
+    if (this._type) {
+      if (data === undefined) args.push(undefined);
+      args.push(this._type);
+    }
+    this.fire(...args);
+  }
+
+  /**
+   * Sends data as JSON. See send().
+   * @param {unknown} data
+   */
+  json(data) {
+    this.type('json').send(data);
+  }
+
+  /**
+   * Sends a plain text body, outside the envelope. See send().
+   * @param {string} text
+   */
+  text(text) {
+    this.type('text').send(String(text ?? ''));
+  }
+
+  /**
+   * Sends an HTML body, outside the envelope. See send().
+   * @param {string} html
+   */
+  html(html) {
+    this.type('html').send(String(html ?? ''));
+  }
+
+  /**
+   * Sends a response without a body: 204 unless status() set another code.
+   * @throws {TejError} When the response has already been sent
+   */
+  empty() {
+    this._assertNotSent('empty');
+    const statusCode = this._status ?? 204;
+    this.dispatchedData = '';
+    this.res.writeHead(
+      statusCode,
+      statusCode === 204 || statusCode === 304 ? {} : { 'Content-Length': 0 },
+    );
     this.res.end();
   }
 
+  /**
+   * @param {string} method - Builder method being called
+   * @throws {TejError} When the response headers have already been sent
+   * @private
+   */
+  _assertNotSent(method) {
+    if (!this.res.headersSent) return;
+    throw new TejError(
+      500,
+      `ammo.${method}() was called after the response was sent`,
+      { code: TejError.CODES.ERR_RESPONSE_SENT },
+    );
+  }
+
+  /**
+   * Streams a response body from a readable stream or (async) iterable.
+   *
+   * @param {import('node:stream').Readable|AsyncIterable<Buffer|string>|Iterable<Buffer|string>} source - Body chunks
+   * @param {Object} [options]
+   * @param {number} [options.status=200] - HTTP status code
+   * @param {string} [options.contentType='application/octet-stream'] - Content-Type header
+   * @returns {Promise<void>} Resolves when the body has been sent or the client
+   *   disconnected; rejects when the source fails
+   *
+   * @description
+   * Chunks are written as the client accepts them (backpressure), so the body
+   * never has to fit in memory. When the client disconnects, the source is
+   * destroyed and the returned promise resolves. When the source fails, the
+   * connection is closed, since the status has already been sent.
+   *
+   * The response structure envelope does not apply. Nothing is kept in
+   * `dispatchedData`; the number of bytes sent is recorded in `dispatchedBytes`
+   * for request logging and Radar. For HEAD requests only the headers are sent.
+   *
+   * @example
+   * target.get('/export.csv', async (ammo) => {
+   *   await ammo.stream(fs.createReadStream(file), { contentType: 'text/csv' });
+   * });
+   *
+   * @example
+   * // Proxy a download
+   * const upstream = await fetch(url, { signal: ammo.signal });
+   * await ammo.stream(upstream.body, {
+   *   status: upstream.status,
+   *   contentType: upstream.headers.get('content-type'),
+   * });
+   */
+  async stream(
+    source,
+    { status = 200, contentType = 'application/octet-stream' } = {},
+  ) {
+    this.dispatchedData = undefined;
+    this.dispatchedBytes = 0;
+    this.res.writeHead(status, { 'Content-Type': contentType });
+
+    if (this.method === 'HEAD') {
+      source.destroy?.();
+      this.res.end();
+      return;
+    }
+
+    const count = async function* (chunks) {
+      for await (const chunk of chunks) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        this.dispatchedBytes += buffer.length;
+        yield buffer;
+      }
+    }.bind(this);
+
+    try {
+      await pipeline(source, count, this.res);
+    } catch (err) {
+      // The client went away; there is nobody left to report to.
+      if (err?.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+      throw err;
+    }
+  }
+
+  /**
+   * Opens a Server-Sent Events stream.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.heartbeat=15000] - Milliseconds between heartbeat comments that keep
+   *   proxies from closing an idle connection; 0 disables them
+   * @param {number} [options.retry] - Reconnection delay (ms) suggested to the client
+   * @returns {SseChannel} The channel to send events on
+   *
+   * @description
+   * Sends the `text/event-stream` headers and returns a channel with
+   * `send(event, data, id)`, `comment(text)` and `close()`. The handler may
+   * return while the channel stays open; listen for its `'close'` event to
+   * release resources when the client disconnects. A reconnecting client's
+   * `Last-Event-ID` header is available as `channel.lastEventId` so missed
+   * events can be replayed. HEAD requests get the headers and an empty body.
+   *
+   * @example
+   * target.get('/events', (ammo) => {
+   *   const channel = ammo.sse();
+   *   for (const e of events.since(channel.lastEventId)) {
+   *     channel.send(e.type, e.data, e.id);
+   *   }
+   *   const unsubscribe = events.subscribe((e) => channel.send(e.type, e.data, e.id));
+   *   channel.on('close', unsubscribe);
+   * });
+   */
+  sse(options = {}) {
+    const channel = new SseChannel(this.res, {
+      ...options,
+      lastEventId: this.headers?.['last-event-id'] ?? null,
+    });
+    this._sse = channel;
+    this.dispatchedData = undefined;
+    this.dispatchedBytes = 0;
+    channel.on('close', () => {
+      this.dispatchedBytes = channel.bytesSent;
+    });
+    if (this.method === 'HEAD') channel.close();
+    return channel;
+  }
+
   /**
    * Redirects to the specified URL.
    *
-   * @param {string} url - The URL to redirect to
+   * @param {string} url - The URL to redirect to, or the name of a route (see urlFor())
+   * @param {Object|number} [params] - Route params when `url` is a route name; may be omitted
+   *   so the status code is the second argument
    * @param {number} [statusCode=302] - HTTP status code for redirect (default: 302)
+   * @throws {TejError} If `url` names a route and a required param is missing,
+   *   or no route with that name serves the request's API version
    *
    * @description
-   * Sends an HTTP redirect response to the specified URL.
+   * Sends an HTTP redirect response to the specified URL. When `url` matches
+   * the name of a registered route, the Location is built with urlFor(), for
+   * the API version the request resolved to (`ammo.version`).
    * Uses 302 (Found/Temporary Redirect) by default.
    * Common status codes:
    * - 301: Moved Permanently
@@ -313,12 +743,116 @@ class Ammo {
    * @example
    * // Permanent redirect (301)
    * ammo.redirect('/new-location', 301);
+   *
+   * @example
+   * // Redirect to a named route
+   * ammo.redirect('user.show', { id: user.id }, 303);
    */
-  redirect(url, statusCode = 302) {
-    this.res.writeHead(statusCode, { Location: url });
+  redirect(url, params, statusCode = 302) {
+    if (typeof params === 'number') {
+      statusCode = params;
+      params = undefined;
+    }
+    const location = targetRegistry.getByName(url)
+      ? urlFor(url, params, { version: this.version ?? undefined })
+      : url;
+    this.res.writeHead(statusCode, { Location: location });
     this.res.end();
   }
 
+  /**
+   * Cookies sent with the request, by name. Parsed from the Cookie header on
+   * first access. Signed and encrypted cookies appear here in their raw form;
+   * read them with getCookie().
+   *
+   * @type {Object<string, string>}
+   */
+  get cookies() {
+    this._cookies ??= parseCookies(this.req.headers?.cookie);
+    return this._cookies;
+  }
+
+  /**
+   * Reads a request cookie, verifying or decrypting it when asked to.
+   *
+   * @param {string} name - Cookie name
+   * @param {Object} [options]
+   * @param {boolean} [options.signed=false] - Verify the HMAC signature set by setCookie()
+   * @param {boolean} [options.encrypted=false] - Decrypt a value set with `encrypted: true`
+   * @returns {string|undefined} The value, or undefined when the cookie is
+   *   missing, its signature is wrong or it cannot be decrypted
+   * @throws {TejError} 500 when a signed or encrypted cookie is read and no
+   *   `cookies.secret` is configured
+   *
+   * @example
+   * const userId = ammo.getCookie('uid', { signed: true });
+   * if (!userId) ammo.unauthorized();
+   */
+  getCookie(name, { signed = false, encrypted = false } = {}) {
+    const raw = this.cookies[name];
+    if (raw === undefined) return undefined;
+    if (!signed && !encrypted) return raw;
+
+    const secrets = getCookieSecrets();
+    const value = encrypted
+      ? decryptCookie(name, raw, secrets)
+      : unsignCookie(name, raw, secrets);
+    return value === false ? undefined : value;
+  }
+
+  /**
+   * Adds a Set-Cookie header to the response. Each call adds one header, so
+   * several cookies can be set before the response is sent.
+   *
+   * @param {string} name - Cookie name (an HTTP token)
+   * @param {string} value - Cookie value; non-strings are converted with String()
+   * @param {import('./ammo/cookies.js').CookieOptions & { signed?: boolean, encrypted?: boolean }} [options]
+   *   Cookie attributes (`path` defaults to '/', `httpOnly` to true and
+   *   `sameSite` to 'Lax'; `maxAge` is in seconds), plus `signed` to append an
+   *   HMAC signature or `encrypted` to encrypt the value with AES-256-GCM,
+   *   both using the first `cookies.secret`
+   * @throws {TypeError} When the name or an attribute is invalid
+   * @throws {TejError} 500 when `signed` or `encrypted` is set and no `cookies.secret` is configured
+   *
+   * @example
+   * ammo.setCookie('theme', 'dark', { maxAge: 60 * 60 * 24 * 365, httpOnly: false });
+   * ammo.setCookie('uid', user.id, { signed: true, secure: true });
+   * ammo.setCookie('session', JSON.stringify(session), { encrypted: true });
+   */
+  setCookie(name, value, options = {}) {
+    const { signed = false, encrypted = false, ...attributes } = options;
+    let cookieValue = String(value);
+    if (signed || encrypted) {
+      const secrets = getCookieSecrets();
+      cookieValue = encrypted
+        ? encryptCookie(name, cookieValue, secrets)
+        : signCookie(name, cookieValue, secrets);
+    }
+
+    const header = serializeCookie(name, cookieValue, attributes);
+    const previous = this.res.getHeader('Set-Cookie');
+    this.res.setHeader(
+      'Set-Cookie',
+      previous == null ? [header] : [].concat(previous, header),
+    );
+  }
+
+  /**
+   * Tells the client to delete a cookie. `path` and `domain` must match the
+   * ones it was set with.
+   *
+   * @param {string} name - Cookie name
+   * @param {{ path?: string, domain?: string }} [options]
+   */
+  clearCookie(name, { path, domain } = {}) {
+    this.setCookie(name, '', {
+      path,
+      domain,
+      maxAge: 0,
+      expires: new Date(0),
+    });
+  }
+
   /**
    * Throws a 404 Not Found error.
    *
@@ -517,7 +1051,7 @@ class Ammo {
         stack: resolved.stack,
         codeContext: null,
       };
-      this.fire(statusCode, message);
+      this._fireError(statusCode, message, originalError);
       return;
     }
 
@@ -525,7 +1059,7 @@ class Ammo {
 
     if (mode === 'async') {
       // Fire immediately with the resolved code/message.
-      this.fire(statusCode, message);
+      this._fireError(statusCode, message, originalError);
       this._errorInfo = {
         message,
         type: errorType,
@@ -610,11 +1144,12 @@ class Ammo {
           codeContext: codeContext ?? null,
         };
         const isProduction = process.env.NODE_ENV === 'production';
-        const data =
-          !isProduction && devInsight
-            ? { message: finalMessage, _dev: devInsight }
-            : finalMessage;
-        this.fire(finalStatus, data);
+        this._fireError(
+          finalStatus,
+          finalMessage,
+          originalError,
+          isProduction ? null : devInsight,
+        );
       })
       .catch((err) => {
         logger.warn(`LLM error inference failed: ${err?.message ?? err}`);
@@ -625,9 +1160,46 @@ class Ammo {
           stack: resolved.stack,
           codeContext: null,
         };
-        this.fire(statusCode, message);
+        this._fireError(statusCode, message, originalError);
       });
   }
+
+  /**
+   * Send the error response for throw(): the message (or `{ message, _dev }`
+   * when there is an LLM insight) through fire(), or an RFC 9457 Problem
+   * Details document when `response.problemDetails` is enabled.
+   *
+   * @param {number} statusCode
+   * @param {string} message
+   * @param {unknown} [error] - Error passed to throw(), if any
+   * @param {string|null} [devInsight] - LLM insight; null in production
+   * @private
+   */
+  _fireError(statusCode, message, error, devInsight = null) {
+    if (!isProblemDetailsEnabled() || statusCode < 400) {
+      this.fire(
+        statusCode,
+        devInsight ? { message, _dev: devInsight } : message,
+      );
+      return;
+    }
+
+    const problem = buildProblem({
+      statusCode,
+      message,
+      error,
+      instance: this.endpoint,
+      requestId: getRequestStore()?.requestId ?? this.headers?.['x-request-id'],
+      devInsight,
+    });
+    const body = JSON.stringify(problem);
+    this.dispatchedData = body;
+    this.res.writeHead(statusCode, {
+      'Content-Type': PROBLEM_CONTENT_TYPE,
+      'Content-Length': Buffer.byteLength(body),
+    });
+    this.res.end(this.method === 'HEAD' ? undefined : body);
+  }
 }
 
 export default Ammo;
@@ -0,0 +1,712 @@
+/**
+ * @fileoverview Tests for Ammo response methods against a real server.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Readable } from 'node:stream';
+import { setEnv } from 'tej-env';
+import registry from './targets/registry.js';
+import Target from './target.js';
+import TejError from './error.js';
+import { contextMiddleware } from './context/request-context.js';
+import {
+  toCsv,
+  toNdjson,
+  registerSerializer,
+  unregisterSerializer,
+} from './ammo/serializers.js';
+import { startTestServer } from '../tests/helpers/test-utils.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Ammo.stream', () => {
+  let stop;
+  let base;
+
+  const request = (path, init) => fetch(`${base}${path}`, init);
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+  });
+
+  afterEach(async () => {
+    await stop();
+  });
+
+  it('should stream a readable with the given status and content type', async () => {
+    let sent;
+    new Target().get('/export', async (ammo) => {
+      await ammo.stream(Readable.from(['id,name\n', '1,Ann\n']), {
+        status: 201,
+        contentType: 'text/csv',
+      });
+      sent = ammo.dispatchedBytes;
+    });
+
+    const res = await request('/export');
+    expect(res.status).toBe(201);
+    expect(res.headers.get('content-type')).toBe('text/csv');
+    expect(await res.text()).toBe('id,name\n1,Ann\n');
+    expect(sent).toBe(14);
+  });
+
+  it('should stream async iterables and web streams', async () => {
+    const target = new Target();
+    target.get('/generated', async (ammo) => {
+      await ammo.stream(
+        (async function* () {
+          for (let i = 0; i < 3; i++) yield `${i}`;
+        })(),
+      );
+    });
+    target.get('/proxied', async (ammo) => {
+      await ammo.stream(new Response('upstream body').body, {
+        contentType: 'text/plain',
+      });
+    });
+
+    const generated = await request('/generated');
+    expect(generated.headers.get('content-type')).toBe(
+      'application/octet-stream',
+    );
+    expect(await generated.text()).toBe('012');
+    expect(await (await request('/proxied')).text()).toBe('upstream body');
+  });
+
+  it('should stop reading the source when the client disconnects', async () => {
+    let finished;
+    const done = new Promise((resolve) => (finished = resolve));
+    let produced = 0;
+    let closed = false;
+
+    new Target().get('/ticks', async (ammo) => {
+      await ammo.stream(
+        (async function* () {
+          try {
+            while (true) {
+              produced++;
+              yield 'tick\n';
+              await sleep(5);
+            }
+          } finally {
+            closed = true;
+          }
+        })(),
+      );
+      finished(ammo.dispatchedBytes);
+    });
+
+    const controller = new AbortController();
+    const res = await request('/ticks', { signal: controller.signal });
+    const reader = res.body.getReader();
+    await reader.read();
+    controller.abort();
+
+    const bytes = await done;
+    expect(closed).toBe(true);
+    expect(bytes).toBeGreaterThan(0);
+    const count = produced;
+    await sleep(30);
+    expect(produced).toBe(count);
+  });
+
+  it('should send only headers for HEAD and release the source', async () => {
+    const source = Readable.from(['body']);
+    new Target().get('/file', (ammo) =>
+      ammo.stream(source, { contentType: 'text/plain' }),
+    );
+
+    const res = await request('/file', { method: 'HEAD' });
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toBe('text/plain');
+    expect(await res.text()).toBe('');
+    expect(source.destroyed).toBe(true);
+  });
+});
+
+describe('Ammo.sse', () => {
+  let stop;
+  let base;
+
+  const request = (path, init) => fetch(`${base}${path}`, init);
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+  });
+
+  afterEach(async () => {
+    await stop();
+  });
+
+  it('should send events in the event-stream format', async () => {
+    new Target().get('/events', (ammo) => {
+      const channel = ammo.sse({ retry: 2000 });
+      channel.send('order', { id: 7 }, 7);
+      channel.send('two\nlines');
+      channel.send(null, 'plain', 'a\nb');
+      channel.close();
+    });
+
+    const res = await request('/events');
+    expect(res.headers.get('content-type')).toBe('text/event-stream');
+    expect(res.headers.get('cache-control')).toBe('no-cache');
+    expect(await res.text()).toBe(
+      'retry: 2000\n\n' +
+        'event: order\nid: 7\ndata: {"id":7}\n\n' +
+        'data: two\ndata: lines\n\n' +
+        'id: ab\ndata: plain\n\n',
+    );
+  });
+
+  it('should expose Last-Event-ID for resuming', async () => {
+    const log = ['1', '2', '3'];
+    new Target().get('/events', (ammo) => {
+      const channel = ammo.sse();
+      const from = log.indexOf(channel.lastEventId) + 1;
+      for (const id of log.slice(from)) channel.send('tick', id, id);
+      channel.close();
+    });
+
+    const res = await request('/events', {
+      headers: { 'Last-Event-ID': '1' },
+    });
+    expect(await res.text()).toBe(
+      'event: tick\nid: 2\ndata: 2\n\nevent: tick\nid: 3\ndata: 3\n\n',
+    );
+  });
+
+  it('should send heartbeats and clean up when the client disconnects', async () => {
+    let channel;
+    const closed = new Promise((resolve) => {
+      new Target().get('/events', (ammo) => {
+        channel = ammo.sse({ heartbeat: 10 });
+        channel.on('close', resolve);
+      });
+    });
+
+    const controller = new AbortController();
+    const res = await request('/events', { signal: controller.signal });
+    const reader = res.body.getReader();
+    const { value } = await reader.read();
+    expect(new TextDecoder().decode(value)).toMatch(/^: ping\n\n/);
+    controller.abort();
+
+    await closed;
+    expect(channel.closed).toBe(true);
+    expect(channel.send('late', 'data')).toBe(false);
+    expect(channel.eventsSent).toBe(0);
+  });
+});
+
+describe('Ammo.format and negotiated fire()', () => {
+  let stop;
+  let base;
+
+  const request = (path, accept) =>
+    fetch(`${base}${path}`, accept ? { headers: { Accept: accept } } : {});
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+  });
+
+  afterEach(async () => {
+    unregisterSerializer('text/csv');
+    unregisterSerializer('application/x-ndjson');
+    await stop();
+  });
+
+  it('should run the handler for the preferred type', async () => {
+    new Target().get('/report', (ammo) =>
+      ammo.format({
+        'application/json': () => ammo.fire({ total: 3 }),
+        'text/html': () => ammo.fire('<b>3</b>'),
+        'text/plain': () => ammo.fire('total: 3'),
+      }),
+    );
+
+    const html = await request('/report', 'text/html,*/*;q=0.8');
+    expect(html.headers.get('content-type')).toBe('text/html');
+    expect(html.headers.get('vary')).toBe('Accept');
+    expect(await html.text()).toBe('<b>3</b>');
+
+    const plain = await request('/report', 'text/*;q=0.5, text/plain');
+    expect(plain.headers.get('content-type')).toBe('text/plain');
+
+    const json = await request('/report');
+    expect(await json.json()).toEqual({ data: { total: 3 } });
+  });
+
+  it('should answer 406 unless a default handler is given', async () => {
+    const target = new Target();
+    target.get('/strict', (ammo) =>
+      ammo.format({ 'application/json': () => ammo.fire({}) }),
+    );
+    target.get('/lenient', (ammo) =>
+      ammo.format({
+        'application/json': () => ammo.fire({}),
+        default: () => ammo.fire('fallback'),
+      }),
+    );
+
+    const strict = await request('/strict', 'image/png');
+    expect(strict.status).toBe(406);
+    expect(await strict.json()).toEqual({ error: 'Not Acceptable' });
+    expect(await (await request('/lenient', 'image/png')).json()).toEqual({
+      data: 'fallback',
+    });
+  });
+
+  it('should not negotiate fire() data without registered serializers', async () => {
+    new Target().get('/users', (ammo) => ammo.fire([{ id: 1 }]));
+
+    const res = await request('/users', 'text/csv');
+    expect(res.headers.get('content-type')).toBe('application/json');
+    expect(res.headers.get('vary')).toBeNull();
+  });
+
+  it('should serialize fire() data for the accepted type', async () => {
+    registerSerializer('text/csv', toCsv);
+    registerSerializer('application/x-ndjson', toNdjson);
+    new Target().get('/users', (ammo) =>
+      ammo.fire([
+        { id: 1, name: 'Ann' },
+        { id: 2, name: 'Bo' },
+      ]),
+    );
+
+    const csv = await request('/users', 'text/csv');
+    expect(csv.headers.get('content-type')).toBe('text/csv');
+    expect(csv.headers.get('vary')).toBe('Accept');
+    expect(await csv.text()).toBe('id,name\r\n1,Ann\r\n2,Bo\r\n');
+
+    const ndjson = await request('/users', 'application/x-ndjson');
+    expect(await ndjson.text()).toBe(
+      '{"id":1,"name":"Ann"}\n{"id":2,"name":"Bo"}\n',
+    );
+
+    const json = await request('/users', 'text/html,*/*;q=0.8');
+    expect(json.headers.get('content-type')).toBe('application/json');
+    expect((await json.json()).data).toHaveLength(2);
+  });
+});
+
+describe('ETags and conditional requests', () => {
+  let stop;
+  let base;
+  let user;
+
+  const request = (path, headers = {}, method = 'GET') =>
+    fetch(`${base}${path}`, { headers, method });
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+    user = { id: 1, name: 'Ann' };
+    const target = new Target();
+    target.get('/user', (ammo) => ammo.fire(user));
+    target.get('/user/weak', { etag: 'weak' }, (ammo) => ammo.fire(user));
+    target.get('/user/dated', (ammo) => {
+      ammo.res.setHeader('Last-Modified', 'Wed, 21 Oct 2015 07:28:00 GMT');
+      ammo.fire(user);
+    });
+    target.put('/user', (ammo) => {
+      ammo.precondition({ data: user });
+      user = { ...user, ...ammo.payload };
+      ammo.fire(user);
+    });
+  });
+
+  afterEach(async () => {
+    setEnv('RESPONSE_ETAG', '');
+    await stop();
+  });
+
+  it('should only send ETags when enabled', async () => {
+    expect((await request('/user')).headers.get('etag')).toBeNull();
+    expect((await request('/user/weak')).headers.get('etag')).toMatch(/^W\//);
+
+    setEnv('RESPONSE_ETAG', 'true');
+    expect((await request('/user')).headers.get('etag')).toMatch(/^"/);
+  });
+
+  it('should answer 304 when the cached copy is current', async () => {
+    setEnv('RESPONSE_ETAG', 'true');
+    const first = await request('/user');
+    const etag = first.headers.get('etag');
+
+    const cached = await request('/user', { 'If-None-Match': etag });
+    expect(cached.status).toBe(304);
+    expect(cached.headers.get('etag')).toBe(etag);
+    expect(await cached.text()).toBe('');
+
+    const head = await request('/user', { 'If-None-Match': etag }, 'HEAD');
+    expect(head.status).toBe(304);
+
+    user = { id: 1, name: 'Bo' };
+    const changed = await request('/user', { 'If-None-Match': etag });
+    expect(changed.status).toBe(200);
+    expect(await changed.json()).toEqual({ data: user });
+  });
+
+  it('should honour If-Modified-Since for responses with Last-Modified', async () => {
+    const cached = await request('/user/dated', {
+      'If-Modified-Since': 'Wed, 21 Oct 2015 07:28:00 GMT',
+    });
+    expect(cached.status).toBe(304);
+
+    const stale = await request('/user/dated', {
+      'If-Modified-Since': 'Tue, 20 Oct 2015 07:28:00 GMT',
+    });
+    expect(stale.status).toBe(200);
+  });
+
+  it('should answer 412 when If-Match does not hold', async () => {
+    setEnv('RESPONSE_ETAG', 'true');
+    const etag = (await request('/user')).headers.get('etag');
+    const update = (headers) =>
+      request(
+        '/user',
+        { 'Content-Type': 'application/json', ...headers },
+        'PUT',
+      );
+
+    const stale = await update({ 'If-Match': '"0-stale"' });
+    expect(stale.status).toBe(412);
+    expect(await stale.json()).toEqual({ error: 'Precondition Failed' });
+
+    expect((await update({ 'If-Match': etag })).status).toBe(200);
+    expect((await update({ 'If-None-Match': '*' })).status).toBe(412);
+  });
+
+  describe('with a validator', () => {
+    let handled;
+    let validated;
+
+    beforeEach(() => {
+      handled = 0;
+      validated = 0;
+      const validator = (ammo) => {
+        validated++;
+        return ammo.params.id === '1' ? { data: user } : null;
+      };
+      const target = new Target('/users');
+      target.get('/:id', { etag: true, validator }, (ammo) => {
+        handled++;
+        ammo.fire(user);
+      });
+      target.put('/:id', { validator }, (ammo) => {
+        handled++;
+        user = { ...user, ...ammo.payload };
+        ammo.fire(user);
+      });
+    });
+
+    const update = (id, headers) =>
+      request(
+        `/users/${id}`,
+        { 'Content-Type': 'application/json', ...headers },
+        'PUT',
+      );
+
+    it('should answer 412 before the handler runs', async () => {
+      const etag = (await request('/users/1')).headers.get('etag');
+      handled = 0;
+
+      const stale = await update(1, { 'If-Match': '"0-stale"' });
+      expect(stale.status).toBe(412);
+      expect(await stale.json()).toEqual({ error: 'Precondition Failed' });
+      expect(handled).toBe(0);
+
+      expect((await update(1, { 'If-Match': etag })).status).toBe(200);
+      expect(handled).toBe(1);
+    });
+
+    it('should treat a null result as a missing resource', async () => {
+      expect((await update(2, { 'If-Match': '*' })).status).toBe(412);
+      expect((await update(2, { 'If-None-Match': '*' })).status).toBe(200);
+      expect((await update(1, { 'If-None-Match': '*' })).status).toBe(412);
+    });
+
+    it('should only run for unsafe requests with preconditions', async () => {
+      expect((await update(1, {})).status).toBe(200);
+      expect(
+        (await request('/users/1', { 'If-Match': '"0-stale"' })).status,
+      ).toBe(200);
+      expect(validated).toBe(0);
+      expect(handled).toBe(2);
+    });
+  });
+});
+
+describe('Ammo cookies', () => {
+  let stop;
+  let base;
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+    setEnv('COOKIES_SECRET', 'current,previous');
+    const target = new Target();
+    target.get('/login', (ammo) => {
+      ammo.setCookie('theme', 'dark', { httpOnly: false });
+      ammo.setCookie('uid', '42', { signed: true });
+      ammo.setCookie('session', '{"role":"admin"}', { encrypted: true });
+      ammo.clearCookie('legacy');
+      ammo.fire(204);
+    });
+    target.get('/me', (ammo) =>
+      ammo.fire({
+        cookies: ammo.cookies,
+        uid: ammo.getCookie('uid', { signed: true }) ?? null,
+        session: ammo.getCookie('session', { encrypted: true }) ?? null,
+      }),
+    );
+  });
+
+  afterEach(async () => {
+    setEnv('COOKIES_SECRET', '');
+    await stop();
+  });
+
+  const me = async (cookie) =>
+    (await (await fetch(`${base}/me`, { headers: { cookie } })).json()).data;
+
+  it('should send one Set-Cookie header per cookie', async () => {
+    const res = await fetch(`${base}/login`);
+    const cookies = res.headers.getSetCookie();
+    expect(cookies).toHaveLength(4);
+    expect(cookies[0]).toBe('theme=dark; Path=/; SameSite=Lax');
+    expect(cookies[1]).toMatch(/^uid=42\.[\w-]+; Path=\/; HttpOnly/);
+    expect(cookies[2]).not.toContain('admin');
+    expect(cookies[3]).toMatch(/^legacy=; Max-Age=0; Expires=Thu, 01 Jan 1970/);
+  });
+
+  it('should read plain, signed and encrypted cookies', async () => {
+    const cookies = (await fetch(`${base}/login`)).headers
+      .getSetCookie()
+      .map((c) => c.split(';')[0])
+      .join('; ');
+
+    const data = await me(cookies);
+    expect(data.cookies.theme).toBe('dark');
+    expect(data.uid).toBe('42');
+    expect(data.session).toBe('{"role":"admin"}');
+  });
+
+  it('should ignore tampered signed and encrypted cookies', async () => {
+    const data = await me('uid=43.forged; session=bm90IGVuY3J5cHRlZA');
+    expect(data.cookies.uid).toBe('43.forged');
+    expect(data.uid).toBeNull();
+    expect(data.session).toBeNull();
+  });
+});
+
+describe('Problem Details error responses', () => {
+  let stop;
+  let base;
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+    setEnv('RESPONSE_PROBLEMDETAILS', 'true');
+    const target = new Target();
+    target.post('/orders', (ammo) => {
+      if (ammo.payload.quantity > 0) return ammo.fire(201, ammo.payload);
+      throw new TejError(422, 'The order could not be placed', {
+        code: 'ERR_ORDER_INVALID',
+        errors: [{ field: 'quantity', message: 'Must be at least 1' }],
+        extensions: { orderId: 'A-17' },
+      });
+    });
+    target.get('/gone', (ammo) => ammo.throw(410));
+    target.get('/ok', (ammo) => ammo.fire({ ok: true }));
+  });
+
+  afterEach(async () => {
+    setEnv('RESPONSE_PROBLEMDETAILS', '');
+    await stop();
+  });
+
+  it('should send TejErrors as application/problem+json', async () => {
+    const res = await fetch(`${base}/orders`, { method: 'POST' });
+    expect(res.status).toBe(422);
+    expect(res.headers.get('content-type')).toBe('application/problem+json');
+    expect(await res.json()).toEqual({
+      type: 'about:blank',
+      title: 'Unprocessable Entity',
+      status: 422,
+      detail: 'The order could not be placed',
+      instance: '/orders',
+      code: 'ERR_ORDER_INVALID',
+      errors: [{ field: 'quantity', message: 'Must be at least 1' }],
+      orderId: 'A-17',
+    });
+  });
+
+  it('should describe framework errors and leave successes alone', async () => {
+    const missing = await fetch(`${base}/nowhere`);
+    expect(missing.status).toBe(404);
+    expect(await missing.json()).toMatchObject({
+      title: 'Not Found',
+      status: 404,
+      instance: '/nowhere',
+    });
+
+    expect(await (await fetch(`${base}/gone`)).json()).toMatchObject({
+      title: 'Gone',
+      code: 'ERR_HTTP_410',
+    });
+    expect(await (await fetch(`${base}/ok`)).json()).toEqual({
+      data: { ok: true },
+    });
+  });
+
+  it('should include the request ID', async () => {
+    registry.globalMiddlewares = [contextMiddleware];
+    const body = await (await fetch(`${base}/gone`)).json();
+    expect(body.requestId).toMatch(/^[0-9a-f-]{36}$/);
+
+    registry.globalMiddlewares = [];
+    const res = await fetch(`${base}/gone`, {
+      headers: { 'X-Request-Id': 'from-proxy' },
+    });
+    expect((await res.json()).requestId).toBe('from-proxy');
+  });
+
+  it('should keep plain error messages when disabled', async () => {
+    setEnv('RESPONSE_PROBLEMDETAILS', '');
+    const res = await fetch(`${base}/gone`);
+    expect(res.headers.get('content-type')).not.toContain('problem');
+    expect(await res.json()).toEqual({ error: 'Gone' });
+  });
+});
+
+describe('Request data sources', () => {
+  let stop;
+  let base;
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+    const target = new Target();
+    target.post('/orders/:id', (ammo) =>
+      ammo.fire({
+        query: ammo.query,
+        body: ammo.body,
+        params: ammo.params,
+        payload: ammo.payload,
+      }),
+    );
+  });
+
+  afterEach(async () => {
+    setEnv('PAYLOAD_PRECEDENCE', '');
+    await stop();
+  });
+
+  const post = async () => {
+    const res = await fetch(`${base}/orders/7?id=from-query&notify=1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 'from-body', qty: 2 }),
+    });
+    return (await res.json()).data;
+  };
+
+  it('should keep query, body and params apart', async () => {
+    const data = await post();
+    expect(data.query).toEqual({ id: 'from-query', notify: '1' });
+    expect(data.body).toEqual({ id: 'from-body', qty: 2 });
+    expect(data.params).toEqual({ id: '7' });
+    expect(data.payload).toEqual({ id: '7', notify: '1', qty: 2 });
+  });
+
+  it('should merge the payload in the configured order', async () => {
+    setEnv('PAYLOAD_PRECEDENCE', 'body,params,query');
+    expect((await post()).payload.id).toBe('from-body');
+  });
+});
+
+describe('Ammo response builder', () => {
+  let stop;
+  let base;
+  let lateError;
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+    lateError = null;
+    const target = new Target();
+    target.post('/users', (ammo) =>
+      ammo.status(201).header('Location', '/users/7').json({ id: 7 }),
+    );
+    target.get('/hello', (ammo) => ammo.text('hello'));
+    target.get('/page', (ammo) => ammo.status(404).html('<h1>Missing</h1>'));
+    target.get('/feed', (ammo) => ammo.type('xml').send('<feed/>'));
+    target.get('/legacy', (ammo) => ammo.fire(200, '<p>hi</p>', 'text/html'));
+    target.get('/none', (ammo) => ammo.empty());
+    target.get('/accepted', (ammo) => ammo.status(202).empty());
+    target.get('/twice', (ammo) => {
+      ammo.json({ first: true });
+      try {
+        ammo.header('X-Late', '1');
+      } catch (err) {
+        lateError = err;
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await stop();
+  });
+
+  it('should chain status, headers and JSON data', async () => {
+    const res = await fetch(`${base}/users`, { method: 'POST' });
+    expect(res.status).toBe(201);
+    expect(res.headers.get('location')).toBe('/users/7');
+    expect(res.headers.get('content-type')).toBe('application/json');
+    expect(await res.json()).toEqual({ data: { id: 7 } });
+  });
+
+  it('should send text, HTML and typed strings as-is', async () => {
+    const hello = await fetch(`${base}/hello`);
+    expect(hello.headers.get('content-type')).toBe('text/plain');
+    expect(await hello.text()).toBe('hello');
+
+    const page = await fetch(`${base}/page`);
+    expect(page.status).toBe(404);
+    expect(page.headers.get('content-type')).toBe('text/html');
+    expect(await page.text()).toBe('<h1>Missing</h1>');
+
+    const feed = await fetch(`${base}/feed`);
+    expect(feed.headers.get('content-type')).toBe('application/xml');
+    expect(await feed.text()).toBe('<feed/>');
+
+    expect(await (await fetch(`${base}/legacy`)).text()).toBe('<p>hi</p>');
+  });
+
+  it('should send empty responses', async () => {
+    const none = await fetch(`${base}/none`);
+    expect(none.status).toBe(204);
+    expect(await none.text()).toBe('');
+
+    const accepted = await fetch(`${base}/accepted`);
+    expect(accepted.status).toBe(202);
+    expect(accepted.headers.get('content-length')).toBe('0');
+    expect(await accepted.text()).toBe('');
+  });
+
+  it('should reject calls after the response was sent', async () => {
+    expect(await (await fetch(`${base}/twice`)).json()).toEqual({
+      data: { first: true },
+    });
+    expect(lateError).toBeInstanceOf(TejError);
+    expect(lateError.code).toBe('ERR_RESPONSE_SENT');
+    expect(lateError.message).toBe(
+      'ammo.header() was called after the response was sent',
+    );
+  });
+
+  it('should reject invalid statuses and types', async () => {
+    const { default: Ammo } = await import('./ammo.js');
+    const ammo = new Ammo({}, { headersSent: false });
+    expect(() => ammo.status(99)).toThrow(TypeError);
+    expect(() => ammo.status('201')).toThrow(TypeError);
+    expect(() => ammo.type('yaml')).toThrow('Unknown content type: yaml');
+    expect(ammo.type('application/yaml')._type).toBe('application/yaml');
+  });
+});
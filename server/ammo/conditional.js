@@ -0,0 +1,134 @@
+/**
+ * @fileoverview ETags and conditional request evaluation (RFC 9110 §13).
+ */
+
+import { createHash } from 'node:crypto';
+import { env } from 'tej-env';
+
+/**
+ * ETag mode for an endpoint: `metadata.etag` when set, else `response.etag`
+ * (RESPONSE_ETAG). `true` means strong: fire() bodies are sent byte for byte.
+ *
+ * @param {Object|null} [metadata] - Endpoint metadata
+ * @returns {'strong'|'weak'|null} null when ETags are off
+ */
+const getEtagMode = (metadata) => {
+  const raw = metadata?.etag ?? env('RESPONSE_ETAG');
+  if (raw === true || raw === 'true') return 'strong';
+  const mode = String(raw ?? '').toLowerCase();
+  return mode === 'strong' || mode === 'weak' ? mode : null;
+};
+
+/**
+ * @param {string|Buffer} body - Response body
+ * @param {boolean} [weak=false]
+ * @returns {string} `"<length>-<hash>"`, prefixed with `W/` when weak
+ */
+const generateEtag = (body, weak = false) => {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+  const hash = createHash('sha1').update(buffer).digest('base64url');
+  const tag = `"${buffer.length.toString(16)}-${hash}"`;
+  return weak ? `W/${tag}` : tag;
+};
+
+/**
+ * @param {string} header - If-Match or If-None-Match request header
+ * @returns {string[]}
+ */
+const parseTags = (header) =>
+  header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/** Weak comparison: W/"x" matches "x". */
+const weakMatch = (a, b) => a.replace(/^W\//, '') === b.replace(/^W\//, '');
+
+/**
+ * @param {string|undefined} header - HTTP-date request header
+ * @param {Date|string|number} lastModified
+ * @returns {boolean|null} True when the resource changed after the date, null
+ *   when the header is missing or not a date
+ */
+const modifiedSince = (header, lastModified) => {
+  const since = Date.parse(header ?? '');
+  const time = new Date(lastModified).getTime();
+  if (Number.isNaN(since) || Number.isNaN(time)) return null;
+  // HTTP dates have one-second resolution.
+  return Math.floor(time / 1000) * 1000 > since;
+};
+
+/**
+ * For GET and HEAD: whether the client's cached copy is current, so a
+ * `304 Not Modified` can be sent instead of the body. If-None-Match takes
+ * precedence over If-Modified-Since.
+ *
+ * @param {Object<string, string>} headers - Request headers
+ * @param {{ etag?: string, lastModified?: Date|string|number }} validators - Of the current representation
+ * @returns {boolean}
+ */
+const isNotModified = (headers, { etag, lastModified }) => {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return (
+      ifNoneMatch.trim() === '*' ||
+      (!!etag && parseTags(ifNoneMatch).some((tag) => weakMatch(tag, etag)))
+    );
+  }
+  if (lastModified == null) return false;
+  return modifiedSince(headers['if-modified-since'], lastModified) === false;
+};
+
+/**
+ * @param {Object<string, string>} headers - Request headers
+ * @returns {boolean} True if the request carries If-Match,
+ *   If-Unmodified-Since or If-None-Match
+ */
+const hasPreconditions = (headers) =>
+  headers['if-match'] != null ||
+  headers['if-unmodified-since'] != null ||
+  headers['if-none-match'] != null;
+
+/**
+ * For state-changing requests: whether If-Match, If-Unmodified-Since or
+ * If-None-Match rule the request out, which calls for `412 Precondition
+ * Failed`. If-Match uses the strong comparison, so weak ETags never match it.
+ *
+ * @param {Object<string, string>} headers - Request headers
+ * @param {{ etag?: string, lastModified?: Date|string|number, exists?: boolean }} current -
+ *   Validators of the resource as it is now; `exists` is false when there is none
+ * @returns {boolean}
+ */
+const preconditionFailed = (headers, { etag, lastModified, exists = true }) => {
+  const ifMatch = headers['if-match'];
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') {
+      if (!exists) return true;
+    } else if (
+      !etag ||
+      etag.startsWith('W/') ||
+      !parseTags(ifMatch).includes(etag)
+    ) {
+      return true;
+    }
+  } else if (lastModified != null) {
+    if (modifiedSince(headers['if-unmodified-since'], lastModified)) {
+      return true;
+    }
+  }
+
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return exists;
+    return !!etag && parseTags(ifNoneMatch).some((tag) => weakMatch(tag, etag));
+  }
+  return false;
+};
+
+export {
+  getEtagMode,
+  generateEtag,
+  hasPreconditions,
+  isNotModified,
+  preconditionFailed,
+};
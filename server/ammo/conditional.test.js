@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for ETags and conditional request evaluation.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { setEnv } from 'tej-env';
+import {
+  getEtagMode,
+  generateEtag,
+  isNotModified,
+  preconditionFailed,
+} from './conditional.js';
+
+describe('getEtagMode', () => {
+  afterEach(() => setEnv('RESPONSE_ETAG', ''));
+
+  it('should prefer endpoint metadata over the global setting', () => {
+    expect(getEtagMode({})).toBeNull();
+    setEnv('RESPONSE_ETAG', 'true');
+    expect(getEtagMode(null)).toBe('strong');
+    expect(getEtagMode({ etag: 'weak' })).toBe('weak');
+    expect(getEtagMode({ etag: false })).toBeNull();
+  });
+});
+
+describe('generateEtag', () => {
+  it('should derive the tag from the body', () => {
+    const tag = generateEtag('{"data":1}');
+    expect(tag).toMatch(/^"a-[\w-]+"$/);
+    expect(generateEtag(Buffer.from('{"data":1}'))).toBe(tag);
+    expect(generateEtag('{"data":2}')).not.toBe(tag);
+    expect(generateEtag('{"data":1}', true)).toBe(`W/${tag}`);
+  });
+});
+
+describe('isNotModified', () => {
+  const lastModified = 'Wed, 21 Oct 2015 07:28:00 GMT';
+
+  it('should compare If-None-Match weakly', () => {
+    const etag = '"1-abc"';
+    expect(
+      isNotModified({ 'if-none-match': '"0-x", W/"1-abc"' }, { etag }),
+    ).toBe(true);
+    expect(isNotModified({ 'if-none-match': '*' }, { etag })).toBe(true);
+    expect(isNotModified({ 'if-none-match': '"0-x"' }, { etag })).toBe(false);
+  });
+
+  it('should only use If-Modified-Since without If-None-Match', () => {
+    expect(
+      isNotModified({ 'if-modified-since': lastModified }, { lastModified }),
+    ).toBe(true);
+    expect(
+      isNotModified(
+        { 'if-modified-since': 'Tue, 20 Oct 2015 07:28:00 GMT' },
+        { lastModified },
+      ),
+    ).toBe(false);
+    expect(
+      isNotModified(
+        { 'if-none-match': '"0-x"', 'if-modified-since': lastModified },
+        { etag: '"1-abc"', lastModified },
+      ),
+    ).toBe(false);
+  });
+});
+
+describe('preconditionFailed', () => {
+  const etag = '"1-abc"';
+
+  it('should compare If-Match strongly', () => {
+    expect(preconditionFailed({ 'if-match': etag }, { etag })).toBe(false);
+    expect(preconditionFailed({ 'if-match': '"0-x"' }, { etag })).toBe(true);
+    expect(preconditionFailed({ 'if-match': `W/${etag}` }, { etag })).toBe(
+      true,
+    );
+    expect(
+      preconditionFailed({ 'if-match': `W/${etag}` }, { etag: `W/${etag}` }),
+    ).toBe(true);
+  });
+
+  it('should handle * for existing and missing resources', () => {
+    expect(preconditionFailed({ 'if-match': '*' }, { exists: false })).toBe(
+      true,
+    );
+    expect(preconditionFailed({ 'if-match': '*' }, { etag })).toBe(false);
+    expect(preconditionFailed({ 'if-none-match': '*' }, { etag })).toBe(true);
+    expect(
+      preconditionFailed({ 'if-none-match': '*' }, { exists: false }),
+    ).toBe(false);
+  });
+
+  it('should fail If-Unmodified-Since when the resource changed later', () => {
+    const headers = { 'if-unmodified-since': 'Wed, 21 Oct 2015 07:28:00 GMT' };
+    expect(
+      preconditionFailed(headers, { lastModified: '2015-10-21T07:28:00Z' }),
+    ).toBe(false);
+    expect(
+      preconditionFailed(headers, { lastModified: '2015-10-22T00:00:00Z' }),
+    ).toBe(true);
+  });
+});
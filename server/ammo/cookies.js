@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Cookie parsing, serialization, signing and encryption.
+ *
+ * Signed and encrypted cookies use the secrets configured in `cookies.secret`
+ * (COOKIES_SECRET): a string, or a list to rotate keys. The first secret signs
+ * and encrypts new cookies; all of them are tried when reading, so cookies
+ * issued before a rotation stay valid while the old secret is listed.
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHmac,
+  randomBytes,
+  timingSafeEqual,
+} from 'node:crypto';
+import { env } from 'tej-env';
+import TejError from '../error.js';
+
+/** RFC 6265 cookie-name: an HTTP token. */
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const SAME_SITE = { lax: 'Lax', strict: 'Strict', none: 'None' };
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * @returns {string[]} Configured secrets, newest first
+ * @throws {TejError} 500 when no secret is configured
+ */
+const getCookieSecrets = () => {
+  const raw = env('COOKIES_SECRET');
+  const secrets = (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  if (secrets.length === 0) {
+    throw new TejError(
+      500,
+      'Signed and encrypted cookies need a secret: set cookies.secret (COOKIES_SECRET)',
+    );
+  }
+  return secrets;
+};
+
+/**
+ * @param {string} [header] - Cookie request header
+ * @returns {Object<string, string>} Cookie values by name; the first of duplicate names wins
+ */
+const parseCookies = (header) => {
+  const cookies = Object.create(null);
+  for (const pair of String(header ?? '').split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq === -1) continue;
+    const name = pair.slice(0, eq).trim();
+    if (!name || name in cookies) continue;
+    let value = pair.slice(eq + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      value = value.slice(1, -1);
+    }
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+};
+
+/**
+ * @typedef {Object} CookieOptions
+ * @property {number} [maxAge] - Lifetime in seconds; 0 or less expires the cookie now
+ * @property {Date} [expires] - Expiry date (maxAge takes precedence in browsers)
+ * @property {string} [path='/']
+ * @property {string} [domain]
+ * @property {boolean} [httpOnly=true] - Hide the cookie from client-side JavaScript
+ * @property {boolean} [secure] - HTTPS only; always set for `sameSite: 'None'`
+ * @property {'Lax'|'Strict'|'None'|false} [sameSite='Lax']
+ * @property {boolean} [partitioned] - CHIPS partitioned cookie (implies secure)
+ */
+
+/**
+ * @param {string} name
+ * @param {string} value - Encoded with encodeURIComponent
+ * @param {CookieOptions} [options]
+ * @returns {string} A Set-Cookie header value
+ * @throws {TypeError} When the name or an option is invalid
+ */
+const serializeCookie = (name, value, options = {}) => {
+  const {
+    maxAge,
+    expires,
+    path = '/',
+    domain,
+    httpOnly = true,
+    secure,
+    sameSite = 'Lax',
+    partitioned,
+  } = options;
+
+  if (!COOKIE_NAME.test(String(name))) {
+    throw new TypeError(`Invalid cookie name "${name}"`);
+  }
+  const parts = [`${name}=${encodeURIComponent(String(value))}`];
+
+  if (maxAge != null) {
+    const seconds = Math.floor(Number(maxAge));
+    if (!Number.isFinite(seconds)) {
+      throw new TypeError(`Invalid maxAge for cookie "${name}"`);
+    }
+    parts.push(`Max-Age=${seconds}`);
+  }
+  if (expires) parts.push(`Expires=${new Date(expires).toUTCString()}`);
+  if (domain) parts.push(`Domain=${domain}`);
+  if (path) parts.push(`Path=${path}`);
+
+  let sameSiteValue = null;
+  if (sameSite) {
+    sameSiteValue = SAME_SITE[String(sameSite).toLowerCase()];
+    if (!sameSiteValue) {
+      throw new TypeError(`Invalid sameSite for cookie "${name}"`);
+    }
+  }
+  // Browsers reject SameSite=None and partitioned cookies without Secure.
+  if (secure || sameSiteValue === 'None' || partitioned) parts.push('Secure');
+  if (httpOnly) parts.push('HttpOnly');
+  if (sameSiteValue) parts.push(`SameSite=${sameSiteValue}`);
+  if (partitioned) parts.push('Partitioned');
+
+  return parts.join('; ');
+};
+
+/**
+ * The signature covers the name too, so a signed value cannot be replayed
+ * under another cookie name.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string} base64url HMAC-SHA256
+ */
+const signature = (name, value, secret) =>
+  createHmac('sha256', secret).update(`${name}=${value}`).digest('base64url');
+
+/**
+ * @param {string} name
+ * @param {string} value
+ * @param {string[]} secrets - The first one signs
+ * @returns {string} `<value>.<signature>`
+ */
+const signCookie = (name, value, secrets) =>
+  `${value}.${signature(name, value, secrets[0])}`;
+
+/**
+ * @param {string} name
+ * @param {string} signed - Value produced by signCookie()
+ * @param {string[]} secrets - Tried in order
+ * @returns {string|false} The original value, or false when no secret verifies it
+ */
+const unsignCookie = (name, signed, secrets) => {
+  const dot = String(signed).lastIndexOf('.');
+  if (dot === -1) return false;
+  const value = signed.slice(0, dot);
+  const given = Buffer.from(signed.slice(dot + 1));
+  for (const secret of secrets) {
+    const expected = Buffer.from(signature(name, value, secret));
+    if (given.length === expected.length && timingSafeEqual(given, expected)) {
+      return value;
+    }
+  }
+  return false;
+};
+
+/**
+ * @param {string} secret
+ * @returns {Buffer} AES-256 key derived from the secret, distinct from its signing use
+ */
+const encryptionKey = (secret) =>
+  createHmac('sha256', secret).update('tejas-cookie-encryption').digest();
+
+/**
+ * AES-256-GCM, with the cookie name as additional authenticated data.
+ *
+ * @param {string} name
+ * @param {string} value
+ * @param {string[]} secrets - The first one encrypts
+ * @returns {string} base64url of IV, auth tag and ciphertext
+ */
+const encryptCookie = (name, value, secrets) => {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey(secrets[0]), iv);
+  cipher.setAAD(Buffer.from(name));
+  const ciphertext = Buffer.concat([
+    cipher.update(String(value), 'utf8'),
+    cipher.final(),
+  ]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString(
+    'base64url',
+  );
+};
+
+/**
+ * @param {string} name
+ * @param {string} token - Value produced by encryptCookie()
+ * @param {string[]} secrets - Tried in order
+ * @returns {string|false} The original value, or false when it cannot be decrypted
+ */
+const decryptCookie = (name, token, secrets) => {
+  const data = Buffer.from(String(token), 'base64url');
+  if (data.length < IV_BYTES + TAG_BYTES) return false;
+  const iv = data.subarray(0, IV_BYTES);
+  const tag = data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+  const ciphertext = data.subarray(IV_BYTES + TAG_BYTES);
+
+  for (const secret of secrets) {
+    try {
+      const decipher = createDecipheriv(
+        'aes-256-gcm',
+        encryptionKey(secret),
+        iv,
+      );
+      decipher.setAAD(Buffer.from(name));
+      decipher.setAuthTag(tag);
+      return Buffer.concat([
+        decipher.update(ciphertext),
+        decipher.final(),
+      ]).toString('utf8');
+    } catch {
+      // Wrong secret or tampered value; try the next secret.
+    }
+  }
+  return false;
+};
+
+export {
+  getCookieSecrets,
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+  encryptCookie,
+  decryptCookie,
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Tests for cookie parsing, serialization, signing and encryption.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { setEnv } from 'tej-env';
+import {
+  getCookieSecrets,
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+  encryptCookie,
+  decryptCookie,
+} from './cookies.js';
+
+describe('parseCookies', () => {
+  it('should parse and decode cookie pairs', () => {
+    expect(
+      parseCookies('a=1; b=hello%20world; c="quoted"; a=2; bad; d=x=y'),
+    ).toEqual({ a: '1', b: 'hello world', c: 'quoted', d: 'x=y' });
+    expect(parseCookies('e=%E0%A4%A')).toEqual({ e: '%E0%A4%A' });
+    expect(parseCookies(undefined)).toEqual({});
+  });
+});
+
+describe('serializeCookie', () => {
+  it('should default to Path=/, HttpOnly and SameSite=Lax', () => {
+    expect(serializeCookie('theme', 'dark mode')).toBe(
+      'theme=dark%20mode; Path=/; HttpOnly; SameSite=Lax',
+    );
+  });
+
+  it('should serialize all attributes', () => {
+    expect(
+      serializeCookie('id', '1', {
+        maxAge: 60.5,
+        expires: new Date(0),
+        domain: 'example.com',
+        path: '/app',
+        httpOnly: false,
+        sameSite: 'none',
+        partitioned: true,
+      }),
+    ).toBe(
+      'id=1; Max-Age=60; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Domain=example.com; Path=/app; Secure; SameSite=None; Partitioned',
+    );
+  });
+
+  it('should reject invalid names and options', () => {
+    expect(() => serializeCookie('a b', '1')).toThrow(TypeError);
+    expect(() => serializeCookie('a', '1', { sameSite: 'loose' })).toThrow(
+      TypeError,
+    );
+    expect(() => serializeCookie('a', '1', { maxAge: 'soon' })).toThrow(
+      TypeError,
+    );
+  });
+});
+
+describe('signed and encrypted cookies', () => {
+  afterEach(() => setEnv('COOKIES_SECRET', ''));
+
+  it('should read the secrets from config', () => {
+    expect(() => getCookieSecrets()).toThrow(/cookies\.secret/);
+    setEnv('COOKIES_SECRET', 'new, old');
+    expect(getCookieSecrets()).toEqual(['new', 'old']);
+  });
+
+  it('should verify signatures with any listed secret', () => {
+    const signed = signCookie('uid', '42', ['old']);
+    expect(unsignCookie('uid', signed, ['new', 'old'])).toBe('42');
+    expect(unsignCookie('uid', signed, ['new'])).toBe(false);
+    expect(unsignCookie('other', signed, ['old'])).toBe(false);
+    expect(unsignCookie('uid', signed.replace('42', '43'), ['old'])).toBe(
+      false,
+    );
+  });
+
+  it('should decrypt with any listed secret', () => {
+    const token = encryptCookie('session', '{"user":1}', ['old']);
+    expect(token).not.toContain('user');
+    expect(decryptCookie('session', token, ['new', 'old'])).toBe('{"user":1}');
+    expect(decryptCookie('session', token, ['new'])).toBe(false);
+    expect(decryptCookie('other', token, ['old'])).toBe(false);
+    expect(decryptCookie('session', 'garbage', ['old'])).toBe(false);
+  });
+});
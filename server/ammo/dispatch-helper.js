@@ -1,5 +1,6 @@
 import status from 'statuses';
 import { getResponseConfig } from '../../utils/response-config.js';
+import { hasSerializers, serializeFor } from './serializers.js';
 
 const formattedData = (data) => {
   if (data === null || data === undefined) return '';
@@ -38,7 +39,21 @@ const applyResponseStructure = (statusCode, data) => {
   return data;
 };
 
-const statusAndData = (args) => {
+/**
+ * Work out the status, body and Content-Type of a fire() call.
+ *
+ * @param {IArguments|Array} args - fire() arguments. String or Buffer data
+ *   with an explicit non-JSON content type is sent as-is, outside the envelope
+ * @param {Object} [request]
+ * @param {string} [request.accept] - Accept header; 2xx object data is sent
+ *   through a registered serializer when the client prefers its type to JSON
+ * @param {string} [request.preferredType] - Content-Type for 2xx string data
+ *   without an explicit type (the type chosen by ammo.format()); non-JSON
+ *   types are sent as-is, outside the envelope
+ * @returns {{ statusCode: number, data: string|Buffer, contentType: string, negotiated: boolean }}
+ *   `negotiated` is true when the representation depended on the Accept header
+ */
+const statusAndData = (args, { accept, preferredType } = {}) => {
   let statusCode;
   let rawData;
   let customContentType = null;
@@ -78,12 +93,57 @@ const statusAndData = (args) => {
     customContentType = args.length > 2 ? args[2] : null;
   }
 
+  // A string or Buffer with an explicit non-JSON type is already the body.
+  if (
+    customContentType &&
+    !/[/+]json$/.test(customContentType) &&
+    (typeof rawData === 'string' || Buffer.isBuffer(rawData))
+  ) {
+    return {
+      statusCode,
+      data: rawData,
+      contentType: customContentType,
+      negotiated: false,
+    };
+  }
+
+  const success = !customContentType && statusCode >= 200 && statusCode < 300;
+  if (
+    success &&
+    typeof rawData === 'string' &&
+    preferredType &&
+    !/[/+]json$/.test(preferredType)
+  ) {
+    return {
+      statusCode,
+      data: rawData,
+      contentType: preferredType,
+      negotiated: false,
+    };
+  }
+
+  const negotiable =
+    success &&
+    rawData !== null &&
+    typeof rawData === 'object' &&
+    hasSerializers();
+  const serialized = negotiable ? serializeFor(accept, rawData) : null;
+  if (serialized) {
+    return {
+      statusCode,
+      data: serialized.body,
+      contentType: serialized.contentType,
+      negotiated: true,
+    };
+  }
+
   const wrapped = applyResponseStructure(statusCode, rawData);
 
   return {
     statusCode,
     data: formattedData(wrapped),
     contentType: customContentType || contentType(wrapped),
+    negotiated: negotiable,
   };
 };
 
@@ -1,25 +1,20 @@
 import bodyParser from './body-parser.js';
+import { parseQuery, mergePayload } from './payload.js';
 
 function hostname(req) {
-  let host = req.headers['X-Forwarded-Host'];
+  // Node lowercases incoming header names.
+  let host = req.headers['x-forwarded-host'];
 
   if (!host) {
     host = req.headers.host;
   } else if (host.indexOf(',') !== -1) {
-    host = host.substring(0, host.indexOf(',')).trimRight();
+    host = host.substring(0, host.indexOf(',')).trimEnd();
   }
 
   return host;
 }
 
-async function generatePayload(req) {
-  const obj = Object.create(null);
-
-  const searchParams = new URLSearchParams((req.url ?? '').split('?')[1] ?? '');
-  for (const [key, value] of searchParams) {
-    obj[key] = value;
-  }
-
+async function parseBody(req) {
   // Only parse body for methods that typically have a body
   if (
     req.method !== 'GET' &&
@@ -27,10 +22,10 @@ async function generatePayload(req) {
     req.method !== 'DELETE'
   ) {
     const body = await bodyParser(req);
-    if (body) Object.assign(obj, body);
+    if (body) return body;
   }
 
-  return obj;
+  return Object.create(null);
 }
 
 function protocol(req) {
@@ -47,7 +42,11 @@ const enhance = async (ammo) => {
 
   ammo.ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
   ammo.headers = req.headers;
-  ammo.payload = await generatePayload(req);
+  ammo.query = parseQuery(req.url);
+  ammo.body = await parseBody(req);
+  // Route params are added by the handler once the route is matched.
+  ammo.params = Object.create(null);
+  ammo.payload = mergePayload(ammo);
   ammo.method = req.method;
 
   ammo.protocol = protocol(req);
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Content negotiation on the Accept request header.
+ */
+
+/**
+ * @typedef {Object} MediaRange
+ * @property {string} type - e.g. 'text', or '*'
+ * @property {string} subtype - e.g. 'html', or '*'
+ * @property {number} q - Quality, 0 to 1
+ * @property {number} index - Position in the header
+ */
+
+/**
+ * @param {string} [header] - Accept header, e.g. 'text/html, application/json;q=0.9, *\/*;q=0.1'
+ * @returns {MediaRange[]} Media ranges in header order (empty when the header is missing)
+ */
+const parseAccept = (header) =>
+  String(header ?? '')
+    .split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.split(';').map((s) => s.trim());
+      if (!range) return null;
+      const [type, subtype = '*'] = range.toLowerCase().split('/');
+      let q = 1;
+      for (const param of params) {
+        const [key, value] = param.split('=').map((s) => s.trim());
+        if (key.toLowerCase() === 'q') q = Number(value);
+      }
+      return {
+        type,
+        subtype,
+        q: Number.isFinite(q) ? Math.min(Math.max(q, 0), 1) : 0,
+        index,
+      };
+    })
+    .filter(Boolean);
+
+/**
+ * @param {MediaRange} range
+ * @param {string} type
+ * @param {string} subtype
+ * @returns {number} 2 for an exact match, 1 for `type/*`, 0 for `*\/*`, -1 for no match
+ */
+const specificity = (range, type, subtype) => {
+  if (range.type === '*') return 0;
+  if (range.type !== type) return -1;
+  if (range.subtype === '*') return 1;
+  return range.subtype === subtype ? 2 : -1;
+};
+
+/**
+ * Pick the media type the client prefers. Each candidate takes the quality
+ * of the most specific range matching it; ties go to the range listed first
+ * in the header, then to the first candidate.
+ *
+ * @param {string} [header] - Accept header; when missing, the first candidate wins
+ * @param {string[]} available - Media types the server can produce
+ * @returns {string|null} One of `available`, or null when none is acceptable
+ */
+const negotiate = (header, available) => {
+  const ranges = parseAccept(header);
+  if (ranges.length === 0) return available[0] ?? null;
+
+  let best = null;
+  for (const candidate of available) {
+    const [type, subtype] = candidate.toLowerCase().split(';')[0].split('/');
+    let match = null;
+    for (const range of ranges) {
+      const s = specificity(range, type, subtype);
+      if (s >= 0 && (!match || s > match.s)) match = { s, ...range };
+    }
+    if (!match || match.q === 0) continue;
+    if (
+      !best ||
+      match.q > best.q ||
+      (match.q === best.q &&
+        (match.s > best.s || (match.s === best.s && match.index < best.index)))
+    ) {
+      best = { candidate, ...match };
+    }
+  }
+  return best?.candidate ?? null;
+};
+
+/**
+ * Add a request header name to the response's Vary header, keeping the ones
+ * already listed.
+ *
+ * @param {import('node:http').ServerResponse} res
+ * @param {string} field - e.g. 'Accept'
+ */
+const addVary = (res, field) => {
+  const current = String(res.getHeader('Vary') ?? '');
+  const fields = current
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (fields.includes('*')) return;
+  if (fields.some((f) => f.toLowerCase() === field.toLowerCase())) return;
+  res.setHeader('Vary', [...fields, field].join(', '));
+};
+
+export { parseAccept, negotiate, addVary };
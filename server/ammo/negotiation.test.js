@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Tests for Accept header negotiation.
+ */
+import { describe, it, expect } from 'vitest';
+import { parseAccept, negotiate, addVary } from './negotiation.js';
+
+describe('parseAccept', () => {
+  it('should parse media ranges with q-values', () => {
+    expect(parseAccept('text/html, application/json;q=0.5, */*;q=0')).toEqual([
+      { type: 'text', subtype: 'html', q: 1, index: 0 },
+      { type: 'application', subtype: 'json', q: 0.5, index: 1 },
+      { type: '*', subtype: '*', q: 0, index: 2 },
+    ]);
+    expect(parseAccept(undefined)).toEqual([]);
+  });
+});
+
+describe('negotiate', () => {
+  const types = ['application/json', 'text/html', 'text/csv'];
+
+  it('should pick the type with the highest quality', () => {
+    expect(negotiate('text/csv;q=0.9, application/json;q=0.4', types)).toBe(
+      'text/csv',
+    );
+    expect(negotiate('text/*;q=0.5, application/json;q=0.4', types)).toBe(
+      'text/html',
+    );
+  });
+
+  it('should let specific ranges override broader ones', () => {
+    expect(negotiate('text/*, text/html;q=0', types)).toBe('text/csv');
+    expect(negotiate('*/*;q=0.1, text/csv', types)).toBe('text/csv');
+  });
+
+  it('should break ties by header order, then by candidate order', () => {
+    expect(negotiate('text/html, application/json', types)).toBe('text/html');
+    expect(negotiate('*/*', types)).toBe('application/json');
+    expect(
+      negotiate('text/html,application/xhtml+xml,*/*;q=0.8', [
+        'application/json',
+        'text/csv',
+      ]),
+    ).toBe('application/json');
+  });
+
+  it('should return the first type without an Accept header, and null when none is acceptable', () => {
+    expect(negotiate(undefined, types)).toBe('application/json');
+    expect(negotiate('image/png', types)).toBeNull();
+  });
+});
+
+describe('addVary', () => {
+  it('should append to the Vary header once', () => {
+    const headers = {};
+    const res = {
+      getHeader: (name) => headers[name],
+      setHeader: (name, value) => (headers[name] = value),
+    };
+    addVary(res, 'Accept-Encoding');
+    addVary(res, 'Accept');
+    addVary(res, 'accept');
+    expect(headers.Vary).toBe('Accept-Encoding, Accept');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Request data sources and the merged `ammo.payload` view.
+ *
+ * `ammo.query`, `ammo.body` and `ammo.params` keep each source apart;
+ * `ammo.payload` merges them for handlers written before they existed. Which
+ * source wins a shared key is set by `payload.precedence` (PAYLOAD_PRECEDENCE),
+ * highest first. The default, `params,body,query`, is the historical order.
+ */
+
+import { env } from 'tej-env';
+import TejLogger from 'tej-logger';
+
+const logger = new TejLogger('Tejas.Payload');
+
+const SOURCES = ['params', 'body', 'query'];
+
+/** Route and key pairs already warned about, so each collision is logged once. */
+const warnedCollisions = new Set();
+
+/**
+ * @param {string} [url] - Request URL
+ * @returns {Object<string, string>} Query parameters; the last of repeated names wins
+ */
+const parseQuery = (url) => {
+  const query = Object.create(null);
+  const searchParams = new URLSearchParams((url ?? '').split('?')[1] ?? '');
+  for (const [key, value] of searchParams) {
+    query[key] = value;
+  }
+  return query;
+};
+
+/**
+ * @returns {string[]} Sources in order of precedence, highest first. Sources
+ *   left out of the setting keep their default order after the listed ones.
+ */
+const getPayloadPrecedence = () => {
+  const raw = env('PAYLOAD_PRECEDENCE');
+  const listed = (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+    .map((s) => String(s).trim().toLowerCase())
+    .filter((s) => SOURCES.includes(s));
+  return [...new Set([...listed, ...SOURCES])];
+};
+
+/**
+ * @returns {boolean} True when `payload.warnCollisions` (PAYLOAD_WARNCOLLISIONS,
+ *   or PAYLOAD_WARN_COLLISIONS in .env) is false
+ */
+const collisionWarningsDisabled = () => {
+  const raw = env('PAYLOAD_WARNCOLLISIONS') ?? env('PAYLOAD_WARN_COLLISIONS');
+  return raw === false || raw === 'false';
+};
+
+/**
+ * Merge the request data sources into one object. When a key comes from more
+ * than one source and `route` is given, a warning is logged once per route and
+ * key (disable with `payload.warnCollisions: false`).
+ *
+ * @param {{ query?: Object, body?: unknown, params?: Object }} sources
+ * @param {{ route?: string }} [options] - Route path used in collision warnings
+ * @returns {Object<string, unknown>}
+ */
+const mergePayload = ({ query, body, params }, { route } = {}) => {
+  const values = { query, body, params };
+  const payload = Object.create(null);
+  const from = Object.create(null);
+
+  // Lowest precedence first, so higher sources overwrite.
+  for (const source of getPayloadPrecedence().reverse()) {
+    const value = values[source];
+    if (!value || typeof value !== 'object') continue;
+    for (const key of Object.keys(value)) {
+      (from[key] ??= []).push(source);
+      payload[key] = value[key];
+    }
+  }
+
+  if (route && !collisionWarningsDisabled()) {
+    for (const key in from) {
+      const id = `${route} ${key}`;
+      if (from[key].length < 2 || warnedCollisions.has(id)) continue;
+      warnedCollisions.add(id);
+      const sources = from[key].reverse();
+      logger.warn(
+        `Payload key "${key}" on ${route} comes from ${sources.join(' and ')}; ` +
+          `ammo.payload uses ${sources[0]} (see payload.precedence)`,
+      );
+    }
+  }
+  return payload;
+};
+
+export { parseQuery, getPayloadPrecedence, mergePayload };
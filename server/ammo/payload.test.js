@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Tests for request data sources and the merged payload.
+ */
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { setEnv, unsetEnv } from 'tej-env';
+import TejLogger from 'tej-logger';
+import { parseQuery, getPayloadPrecedence, mergePayload } from './payload.js';
+
+afterEach(() => {
+  setEnv('PAYLOAD_PRECEDENCE', '');
+  unsetEnv('PAYLOAD_WARNCOLLISIONS');
+  unsetEnv('PAYLOAD_WARN_COLLISIONS');
+  vi.restoreAllMocks();
+});
+
+describe('parseQuery', () => {
+  it('should parse the query string', () => {
+    expect({ ...parseQuery('/users?page=2&q=a%20b') }).toEqual({
+      page: '2',
+      q: 'a b',
+    });
+    expect({ ...parseQuery('/users') }).toEqual({});
+  });
+});
+
+describe('getPayloadPrecedence', () => {
+  it('should default to params, body, query', () => {
+    expect(getPayloadPrecedence()).toEqual(['params', 'body', 'query']);
+  });
+
+  it('should complete a partial setting with the default order', () => {
+    setEnv('PAYLOAD_PRECEDENCE', 'body');
+    expect(getPayloadPrecedence()).toEqual(['body', 'params', 'query']);
+    setEnv('PAYLOAD_PRECEDENCE', 'Query, nonsense, body');
+    expect(getPayloadPrecedence()).toEqual(['query', 'body', 'params']);
+  });
+});
+
+describe('mergePayload', () => {
+  const sources = {
+    query: { id: 'q', page: '1' },
+    body: { id: 'b', name: 'Ann' },
+    params: { id: 'p' },
+  };
+
+  it('should merge all sources with params winning by default', () => {
+    expect({ ...mergePayload(sources) }).toEqual({
+      id: 'p',
+      page: '1',
+      name: 'Ann',
+    });
+  });
+
+  it('should follow payload.precedence', () => {
+    setEnv('PAYLOAD_PRECEDENCE', 'body,params,query');
+    expect(mergePayload(sources).id).toBe('b');
+  });
+
+  it('should warn once per route and key about collisions', () => {
+    const warn = vi
+      .spyOn(TejLogger.prototype, 'warn')
+      .mockImplementation(() => {});
+
+    mergePayload(sources, { route: '/orders/:id' });
+    mergePayload(sources, { route: '/orders/:id' });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain(
+      '"id" on /orders/:id comes from params and body and query',
+    );
+
+    mergePayload(sources);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not warn when payload.warnCollisions is false', () => {
+    setEnv('PAYLOAD_WARNCOLLISIONS', 'false');
+    const warn = vi
+      .spyOn(TejLogger.prototype, 'warn')
+      .mockImplementation(() => {});
+    mergePayload(sources, { route: '/quiet/:id' });
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('should accept the PAYLOAD_WARN_COLLISIONS spelling', () => {
+    setEnv('PAYLOAD_WARN_COLLISIONS', 'false');
+    const warn = vi
+      .spyOn(TejLogger.prototype, 'warn')
+      .mockImplementation(() => {});
+    mergePayload(sources, { route: '/quiet/:name' });
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
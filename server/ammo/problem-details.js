@@ -0,0 +1,86 @@
+/**
+ * @fileoverview RFC 9457 Problem Details for error responses.
+ *
+ * With `response.problemDetails` enabled, ammo.throw() (and so every error
+ * the framework catches) answers with an `application/problem+json` document
+ * instead of the message string:
+ *
+ *   {
+ *     "type": "about:blank",
+ *     "title": "Not Found",
+ *     "status": 404,
+ *     "detail": "User 7 not found",
+ *     "instance": "/users/7",
+ *     "code": "ERR_HTTP_404",
+ *     "requestId": "5f0c..."
+ *   }
+ */
+
+import { env } from 'tej-env';
+import { toStatusMessage } from '../../utils/status-codes.js';
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/** Members defined by RFC 9457, which extensions cannot replace. */
+const STANDARD_MEMBERS = new Set([
+  'type',
+  'title',
+  'status',
+  'detail',
+  'instance',
+]);
+
+/**
+ * @returns {boolean} True when `response.problemDetails` (RESPONSE_PROBLEMDETAILS) is enabled
+ */
+const isProblemDetailsEnabled = () => {
+  const raw = env('RESPONSE_PROBLEMDETAILS');
+  return raw === true || raw === 'true' || raw === '1' || raw === 1;
+};
+
+/**
+ * Build a Problem Details document.
+ *
+ * @param {Object} problem
+ * @param {number} problem.statusCode
+ * @param {string} problem.message - Sent as `detail` (omitted when it only repeats the title)
+ * @param {unknown} [problem.error] - Error passed to throw(); a TejError
+ *   contributes `type`, `title`, `code`, `errors` and `extensions`
+ * @param {string} [problem.instance] - Request path
+ * @param {string} [problem.requestId]
+ * @param {string|null} [problem.devInsight] - LLM insight (development only)
+ * @returns {Object} The document, ready for JSON.stringify()
+ */
+const buildProblem = ({
+  statusCode,
+  message,
+  error,
+  instance,
+  requestId,
+  devInsight,
+}) => {
+  // Only framework errors choose their members; other errors' codes (e.g.
+  // ECONNREFUSED) are implementation details.
+  const tejError = typeof error?.statusCode === 'number' ? error : null;
+  const title =
+    tejError?.title ?? toStatusMessage(statusCode) ?? 'Unknown Error';
+
+  const problem = {
+    type: tejError?.type ?? 'about:blank',
+    title,
+    status: statusCode,
+  };
+  if (message && message !== title) problem.detail = String(message);
+  if (instance) problem.instance = instance;
+  problem.code = tejError?.code ?? `ERR_HTTP_${statusCode}`;
+  if (tejError?.errors) problem.errors = tejError.errors;
+
+  for (const [name, value] of Object.entries(tejError?.extensions ?? {})) {
+    if (!STANDARD_MEMBERS.has(name)) problem[name] = value;
+  }
+  if (requestId) problem.requestId = requestId;
+  if (devInsight) problem.devInsight = devInsight;
+  return problem;
+};
+
+export { PROBLEM_CONTENT_TYPE, isProblemDetailsEnabled, buildProblem };
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests for Problem Details documents.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { setEnv } from 'tej-env';
+import TejError from '../error.js';
+import { buildProblem, isProblemDetailsEnabled } from './problem-details.js';
+
+describe('isProblemDetailsEnabled', () => {
+  afterEach(() => setEnv('RESPONSE_PROBLEMDETAILS', ''));
+
+  it('should be off by default and follow RESPONSE_PROBLEMDETAILS', () => {
+    expect(isProblemDetailsEnabled()).toBe(false);
+    setEnv('RESPONSE_PROBLEMDETAILS', 'true');
+    expect(isProblemDetailsEnabled()).toBe(true);
+    setEnv('RESPONSE_PROBLEMDETAILS', 'false');
+    expect(isProblemDetailsEnabled()).toBe(false);
+  });
+});
+
+describe('buildProblem', () => {
+  it('should describe a bare status code', () => {
+    expect(
+      buildProblem({ statusCode: 404, message: 'Not Found', instance: '/x' }),
+    ).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      instance: '/x',
+      code: 'ERR_HTTP_404',
+    });
+  });
+
+  it('should use the message as detail', () => {
+    const problem = buildProblem({ statusCode: 404, message: 'User 7 gone' });
+    expect(problem.title).toBe('Not Found');
+    expect(problem.detail).toBe('User 7 gone');
+  });
+
+  it('should take members from a TejError', () => {
+    const error = new TejError(422, 'Check the form', {
+      code: 'ERR_FORM',
+      type: 'https://example.com/problems/form',
+      errors: [{ field: 'name', message: 'Required' }],
+      extensions: { form: 'signup', status: 200, type: 'ignored' },
+    });
+    expect(
+      buildProblem({
+        statusCode: 422,
+        message: error.message,
+        error,
+        requestId: 'req-1',
+        devInsight: 'Missing client-side validation',
+      }),
+    ).toEqual({
+      type: 'https://example.com/problems/form',
+      title: 'Unprocessable Entity',
+      status: 422,
+      detail: 'Check the form',
+      code: 'ERR_FORM',
+      errors: [{ field: 'name', message: 'Required' }],
+      form: 'signup',
+      requestId: 'req-1',
+      devInsight: 'Missing client-side validation',
+    });
+  });
+
+  it('should not expose the codes of other errors', () => {
+    const error = Object.assign(new Error('connect failed'), {
+      code: 'ECONNREFUSED',
+    });
+    const problem = buildProblem({ statusCode: 500, message: 'x', error });
+    expect(problem.code).toBe('ERR_HTTP_500');
+  });
+});
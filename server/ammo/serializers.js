@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Serializers for ammo.fire() object data.
+ *
+ * JSON is the default representation. When the client's Accept header
+ * prefers another registered media type, fire() sends the data through that
+ * serializer instead:
+ *
+ *   registerSerializer('application/xml', (data) => toXml(data));
+ *
+ * Nothing is registered by default, so fire() does not negotiate (or send
+ * `Vary: Accept`) until the app registers a serializer. toCsv and toNdjson
+ * are provided for `text/csv` and `application/x-ndjson`. The response
+ * envelope only applies to JSON.
+ */
+
+import { negotiate } from './negotiation.js';
+
+const JSON_TYPE = 'application/json';
+
+/** @type {Map<string, (data: unknown) => string|Buffer>} */
+const serializers = new Map();
+
+/**
+ * @param {unknown} value
+ * @returns {string} A CSV field, quoted when it contains a comma, quote or line break
+ */
+const csvField = (value) => {
+  if (value == null) return '';
+  const text =
+    typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Rows are the array items (or the object itself); columns are the union of
+ * their keys, in order of first appearance.
+ *
+ * @param {unknown} data
+ * @returns {string}
+ */
+const toCsv = (data) => {
+  const rows = (Array.isArray(data) ? data : [data]).map((row) =>
+    row !== null && typeof row === 'object' ? row : { value: row },
+  );
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((fields) => fields.map(csvField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+};
+
+/**
+ * @param {unknown} data
+ * @returns {string} One JSON document per line (per item for arrays)
+ */
+const toNdjson = (data) =>
+  (Array.isArray(data) ? data : [data])
+    .map((item) => `${JSON.stringify(item)}\n`)
+    .join('');
+
+/**
+ * Registers (or replaces) the serializer for a media type.
+ *
+ * @param {string} mediaType - e.g. 'application/xml'; sent as the Content-Type
+ * @param {(data: unknown) => string|Buffer} serialize
+ */
+const registerSerializer = (mediaType, serialize) => {
+  if (typeof serialize !== 'function') {
+    throw new TypeError(`Serializer for "${mediaType}" must be a function`);
+  }
+  serializers.set(String(mediaType).toLowerCase(), serialize);
+};
+
+/**
+ * @param {string} mediaType
+ * @returns {boolean} True if a serializer was removed
+ */
+const unregisterSerializer = (mediaType) =>
+  serializers.delete(String(mediaType).toLowerCase());
+
+/**
+ * @returns {boolean} True when fire() negotiates object data
+ */
+const hasSerializers = () => serializers.size > 0;
+
+/**
+ * Serialize data for the client when it prefers a registered type over JSON.
+ *
+ * @param {string} [accept] - Accept request header
+ * @param {unknown} data - Data passed to fire()
+ * @returns {{ contentType: string, body: string|Buffer }|null} null to send JSON
+ */
+const serializeFor = (accept, data) => {
+  if (!accept || serializers.size === 0) return null;
+  const type = negotiate(accept, [JSON_TYPE, ...serializers.keys()]);
+  if (!type || type === JSON_TYPE) return null;
+  return { contentType: type, body: serializers.get(type)(data) };
+};
+
+export {
+  toCsv,
+  toNdjson,
+  registerSerializer,
+  unregisterSerializer,
+  hasSerializers,
+  serializeFor,
+};
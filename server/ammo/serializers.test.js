@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Tests for the fire() serializer registry.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  toCsv,
+  toNdjson,
+  registerSerializer,
+  unregisterSerializer,
+  hasSerializers,
+  serializeFor,
+} from './serializers.js';
+
+describe('serializeFor', () => {
+  beforeEach(() => {
+    registerSerializer('text/csv', toCsv);
+    registerSerializer('application/x-ndjson', toNdjson);
+  });
+
+  afterEach(() => {
+    for (const type of [
+      'text/csv',
+      'application/x-ndjson',
+      'application/xml',
+    ]) {
+      unregisterSerializer(type);
+    }
+  });
+
+  it('should register nothing by default', () => {
+    unregisterSerializer('text/csv');
+    unregisterSerializer('application/x-ndjson');
+    expect(hasSerializers()).toBe(false);
+    expect(serializeFor('text/csv', [{ id: 1 }])).toBeNull();
+  });
+
+  it('should send JSON unless the client prefers another type', () => {
+    expect(serializeFor('application/json', [{ id: 1 }])).toBeNull();
+    expect(serializeFor('*/*', [{ id: 1 }])).toBeNull();
+    expect(serializeFor(undefined, [{ id: 1 }])).toBeNull();
+    expect(serializeFor('image/png', [{ id: 1 }])).toBeNull();
+  });
+
+  it('should serialize CSV with the union of keys as columns', () => {
+    const result = serializeFor('text/csv', [
+      { id: 1, name: 'Ann' },
+      { id: 2, note: 'says "hi", twice', tags: ['a'] },
+    ]);
+    expect(result.contentType).toBe('text/csv');
+    expect(result.body).toBe(
+      'id,name,note,tags\r\n' +
+        '1,Ann,,\r\n' +
+        '2,,"says ""hi"", twice","[""a""]"\r\n',
+    );
+  });
+
+  it('should serialize NDJSON one item per line', () => {
+    expect(
+      serializeFor('application/x-ndjson', [{ id: 1 }, { id: 2 }]).body,
+    ).toBe('{"id":1}\n{"id":2}\n');
+  });
+
+  it('should use registered serializers', () => {
+    registerSerializer('application/xml', (data) => `<id>${data.id}</id>`);
+    expect(serializeFor('application/xml', { id: 3 })).toEqual({
+      contentType: 'application/xml',
+      body: '<id>3</id>',
+    });
+    expect(() => registerSerializer('text/yaml', 'nope')).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Server-Sent Events channel returned by ammo.sse().
+ */
+
+import { EventEmitter } from 'node:events';
+
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+/**
+ * Field values (event name, id) must stay on one line, or they would start
+ * new fields.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+const singleLine = (value) => String(value).replace(/[\r\n]/g, '');
+
+/**
+ * An open `text/event-stream` response.
+ *
+ * Emits `'close'` once, when the stream ends for any reason (close() or the
+ * client disconnecting); the heartbeat is stopped by then.
+ *
+ * @example
+ * const channel = ammo.sse();
+ * const unsubscribe = orders.subscribe((order) =>
+ *   channel.send('order', order, order.id),
+ * );
+ * channel.on('close', unsubscribe);
+ */
+class SseChannel extends EventEmitter {
+  /**
+   * Sends the response headers and starts the heartbeat.
+   *
+   * @param {import('node:http').ServerResponse} res - The HTTP response object
+   * @param {Object} [options]
+   * @param {string|null} [options.lastEventId=null] - `Last-Event-ID` sent by a reconnecting client
+   * @param {number} [options.heartbeat=15000] - Milliseconds between heartbeat comments; 0 disables them
+   * @param {number} [options.retry] - Reconnection delay (ms) suggested to the client
+   */
+  constructor(
+    res,
+    { lastEventId = null, heartbeat = DEFAULT_HEARTBEAT_MS, retry } = {},
+  ) {
+    super();
+    this.res = res;
+    /** Id of the last event the client received before reconnecting, or null. */
+    this.lastEventId = lastEventId;
+    this.openedAt = Date.now();
+    this.eventsSent = 0;
+    this.bytesSent = 0;
+    this.closed = false;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keep reverse proxies (nginx) from buffering the stream.
+      'X-Accel-Buffering': 'no',
+    });
+    if (retry != null) this.write(`retry: ${Number(retry)}\n\n`);
+    else res.flushHeaders();
+
+    this.heartbeat =
+      heartbeat > 0 ? setInterval(() => this.comment('ping'), heartbeat) : null;
+    this.heartbeat?.unref?.();
+
+    res.on('close', () => this.cleanup());
+  }
+
+  /**
+   * Sends an event. With a single argument, it is sent as the data of an
+   * unnamed (`message`) event.
+   *
+   * @param {string|null} event - Event name (`addEventListener(name)` in the browser); null for `message`
+   * @param {unknown} [data] - Strings are sent as-is, anything else as JSON
+   * @param {string|number} [id] - Event id, echoed back as `Last-Event-ID` when the client reconnects
+   * @returns {boolean} False when the channel is closed, or when the client is
+   *   not keeping up (wait for the response's `'drain'` event)
+   */
+  send(event, data, id) {
+    if (arguments.length === 1) {
+      data = event;
+      event = null;
+    }
+    const text = typeof data === 'string' ? data : JSON.stringify(data ?? null);
+
+    let message = '';
+    if (event != null) message += `event: ${singleLine(event)}\n`;
+    if (id != null) message += `id: ${singleLine(id)}\n`;
+    for (const line of text.split(/\r\n|\r|\n/)) message += `data: ${line}\n`;
+
+    const written = this.write(`${message}\n`);
+    if (!this.closed) this.eventsSent++;
+    return written;
+  }
+
+  /**
+   * Sends a comment line, ignored by clients (used for heartbeats).
+   *
+   * @param {string} [text='']
+   * @returns {boolean} See send()
+   */
+  comment(text = '') {
+    return this.write(`: ${singleLine(text)}\n\n`);
+  }
+
+  /**
+   * Ends the stream.
+   */
+  close() {
+    if (this.closed) return;
+    this.cleanup();
+    this.res.end();
+  }
+
+  /**
+   * @private
+   * @param {string} chunk
+   * @returns {boolean}
+   */
+  write(chunk) {
+    if (this.closed || this.res.destroyed) return false;
+    this.bytesSent += Buffer.byteLength(chunk);
+    return this.res.write(chunk);
+  }
+
+  /**
+   * @private
+   */
+  cleanup() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.heartbeat);
+    this.emit('close');
+  }
+}
+
+export default SseChannel;
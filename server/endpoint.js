@@ -1,6 +1,8 @@
 import isMiddlewareValid from './targets/middleware-validator.js';
 import { isPathValid, standardizePath } from './targets/path-validator.js';
 import isShootValid from './targets/shoot-validator.js';
+import { normalizeVersions } from './targets/versioning.js';
+import { hasTrailingSlash } from './targets/router-config.js';
 
 /**
  * Represents a single route endpoint: a path, handler, optional middlewares,
@@ -21,12 +23,21 @@ class Endpoint {
     this.methods = null;
     /** Source group (e.g. target file id) for grouping in docs. Set by loader before register(). */
     this.group = null;
+    /** Compiled host pattern (see host-pattern.js). null = any host. */
+    this.host = null;
+    /** API versions served (e.g. ['1', '2']). null = every version. */
+    this.versions = null;
+    /** Whether the route was registered with a trailing slash (`/users/`). Only used by `router.trailingSlash: 'strict'`. */
+    this.trailingSlash = false;
   }
 
   /**
    * Set the full path by combining a base path and a path segment.
+   * Segments may be static (`users`), params (`:id`), regex-constrained params
+   * (`:id(\d+)`), optional params (`:slug?`) or a trailing wildcard (`*path`).
+   * Invalid patterns leave the path unset.
    * @param {string} base - Base path (e.g. '/api')
-   * @param {string} path - Route path segment (e.g. '/users')
+   * @param {string} path - Route path segment (e.g. '/users', '/files/*path')
    * @returns {Endpoint}
    */
   setPath(base, path) {
@@ -39,9 +50,17 @@ class Endpoint {
     if (!isPathValid(fullPath)) return this;
 
     this.path = fullPath;
+    this.trailingSlash = hasTrailingSlash(path ?? '');
     return this;
   }
 
+  /**
+   * @returns {boolean} Whether the route path was registered with a trailing slash
+   */
+  hasTrailingSlash() {
+    return this.trailingSlash;
+  }
+
   setMiddlewares(middlewares) {
     const validMiddlewares = middlewares.filter(isMiddlewareValid);
     if (validMiddlewares.length === 0) return this;
@@ -50,6 +69,17 @@ class Endpoint {
     return this;
   }
 
+  /**
+   * Put middlewares in front of the existing ones (used when the owning Target
+   * is mounted under a parent and inherits its middlewares).
+   * @param {Function[]} middlewares - Already validated middlewares
+   * @returns {Endpoint}
+   */
+  prependMiddlewares(middlewares) {
+    this.middlewares = middlewares.concat(this.middlewares);
+    return this;
+  }
+
   setHandler(handler) {
     if (!isShootValid(handler)) return this;
     this.handler = handler;
@@ -79,6 +109,24 @@ class Endpoint {
     return this;
   }
 
+  /**
+   * @param {ReturnType<import('./targets/host-pattern.js').compileHostPattern>|null} host - Compiled host pattern, or null for any host
+   * @returns {Endpoint}
+   */
+  setHost(host) {
+    this.host = host ?? null;
+    return this;
+  }
+
+  /**
+   * @param {string|number|Array<string|number>|null} versions - Versions from `metadata.version`. null = every version.
+   * @returns {Endpoint}
+   */
+  setVersions(versions) {
+    this.versions = normalizeVersions(versions);
+    return this;
+  }
+
   setGroup(group) {
     this.group = group ?? null;
     return this;
@@ -107,6 +155,14 @@ class Endpoint {
   getGroup() {
     return this.group;
   }
+
+  getHost() {
+    return this.host;
+  }
+
+  getVersions() {
+    return this.versions;
+  }
 }
 
 export default Endpoint;
@@ -23,20 +23,39 @@
  * @example
  * // With cause chaining
  * throw new TejError(500, 'Database failure', { cause: originalError });
+ *
+ * @example
+ * // With Problem Details members (see response.problemDetails)
+ * throw new TejError(422, 'The order could not be placed', {
+ *   code: 'ERR_ORDER_INVALID',
+ *   type: 'https://example.com/problems/invalid-order',
+ *   errors: [{ field: 'quantity', message: 'Must be at least 1' }],
+ *   extensions: { orderId: 'A-17' },
+ * });
  */
 class TejError extends Error {
   /**
    * @param {number} statusCode   - HTTP status code (e.g. 404, 500)
    * @param {string} message      - Human-readable description
-   * @param {{ cause?: Error }} [options] - Optional native cause for chaining
+   * @param {Object} [options]
+   * @param {Error} [options.cause] - Native cause for chaining
+   * @param {string} [options.code] - Machine-readable code; defaults to `ERR_HTTP_<statusCode>`
+   * @param {string} [options.type] - Problem type URI for Problem Details responses
+   * @param {string} [options.title] - Short summary of the problem type; defaults to the status text
+   * @param {Array|Object} [options.errors] - Validation errors, sent as the `errors` member
+   * @param {Object<string, unknown>} [options.extensions] - Extra Problem Details members
    */
   constructor(statusCode, message, options) {
     super(message, options);
     this.name = this.constructor.name;
     /** @type {number} HTTP status code */
     this.statusCode = statusCode;
-    /** @type {string} Machine-readable error code derived from status */
-    this.code = `ERR_HTTP_${statusCode}`;
+    /** @type {string} Machine-readable error code, derived from status unless given */
+    this.code = options?.code ?? `ERR_HTTP_${statusCode}`;
+    if (options?.type) this.type = options.type;
+    if (options?.title) this.title = options.title;
+    if (options?.errors) this.errors = options.errors;
+    if (options?.extensions) this.extensions = options.extensions;
     Error.captureStackTrace(this, this.constructor);
   }
 }
@@ -51,6 +70,7 @@ TejError.CODES = Object.freeze({
   ERR_PLUGIN_LOAD_FAILED: 'ERR_PLUGIN_LOAD_FAILED',
   ERR_CONFIG_INVALID: 'ERR_CONFIG_INVALID',
   ERR_STREAM_OVERFLOW: 'ERR_STREAM_OVERFLOW',
+  ERR_RESPONSE_SENT: 'ERR_RESPONSE_SENT',
   ERR_AUTH_FAILED: 'ERR_AUTH_FAILED',
   ERR_NOT_FOUND: 'ERR_HTTP_404',
   ERR_METHOD_NOT_ALLOWED: 'ERR_HTTP_405',
@@ -25,6 +25,23 @@ describe('TejError', () => {
     expect(err.cause).toBe(cause);
   });
 
+  it('should accept a custom code and Problem Details members', () => {
+    const errors = [{ field: 'email', message: 'Required' }];
+    const err = new TejError(422, 'Invalid signup', {
+      code: 'ERR_SIGNUP_INVALID',
+      type: 'https://example.com/problems/signup',
+      title: 'Invalid signup',
+      errors,
+      extensions: { plan: 'pro' },
+    });
+    expect(err.code).toBe('ERR_SIGNUP_INVALID');
+    expect(err.type).toBe('https://example.com/problems/signup');
+    expect(err.title).toBe('Invalid signup');
+    expect(err.errors).toBe(errors);
+    expect(err.extensions).toEqual({ plan: 'pro' });
+    expect(new TejError(404, 'Not Found')).not.toHaveProperty('type');
+  });
+
   it('should extend Error', () => {
     const err = new TejError(400, 'Bad Request');
     expect(err).toBeInstanceOf(Error);
@@ -2,6 +2,7 @@ import { filesize } from 'filesize';
 import fsp from 'node:fs/promises';
 import TejError from './../error.js';
 import { extAndType, extract, paths } from './helper.js';
+import { mergePayload } from '../ammo/payload.js';
 
 class TejFileUploader {
   /*
@@ -22,7 +23,7 @@ class TejFileUploader {
       if (!ammo.headers['content-type']?.startsWith('multipart/form-data'))
         return next();
 
-      const payload = ammo.payload;
+      const payload = ammo.body;
       const updatedPayload = Object.create(null);
 
       for (const part in payload) {
@@ -73,7 +74,8 @@ class TejFileUploader {
         }
       }
 
-      ammo.payload = updatedPayload;
+      ammo.body = updatedPayload;
+      ammo.payload = mergePayload(ammo);
       next();
     };
   }
@@ -84,7 +86,7 @@ class TejFileUploader {
       if (!ammo.headers['content-type']?.startsWith('multipart/form-data'))
         return next();
 
-      const payload = ammo.payload;
+      const payload = ammo.body;
       const updatedPayload = Object.create(null);
       const files = [];
 
@@ -146,7 +148,8 @@ class TejFileUploader {
         updatedPayload[key] = groupedFilesByKey[key];
       }
 
-      ammo.payload = updatedPayload;
+      ammo.body = updatedPayload;
+      ammo.payload = mergePayload(ammo);
       next();
     };
   }
@@ -5,7 +5,11 @@ import logHttpRequest from '../utils/request-logger.js';
 import Ammo from './ammo.js';
 import TejError from './error.js';
 import targetRegistry from './targets/registry.js';
+import { resolveRequestVersion } from './targets/versioning.js';
+import { TRAILING_SLASH } from './targets/router-config.js';
 import { traceStore } from '../radar/index.js';
+import { getEtagMode, hasPreconditions } from './ammo/conditional.js';
+import { mergePayload } from './ammo/payload.js';
 
 const errorLogger = new TejLogger('Tejas.Exception');
 const logger = new TejLogger('Tejas');
@@ -40,20 +44,81 @@ const getAllowedMethods = () => {
     : new Set(DEFAULT_ALLOWED_METHODS);
 };
 
+/**
+ * Timeout for a target's chain: `metadata.timeout` when set (0 or false
+ * disables it for that endpoint), else `request.timeout` (REQUEST_TIMEOUT).
+ *
+ * @param {Object} target - The target endpoint object.
+ * @returns {number} Timeout in milliseconds, or 0 for none
+ */
+const getRequestTimeout = (target) => {
+  const own = target.getMetadata?.()?.timeout;
+  const ms = Number(own ?? env('REQUEST_TIMEOUT') ?? 0);
+  return Number.isFinite(ms) && ms > 0 ? ms : 0;
+};
+
+/**
+ * Status sent when a chain times out: `request.timeoutStatus`
+ * (REQUEST_TIMEOUTSTATUS), 503 (default) or 504.
+ *
+ * @returns {number}
+ */
+const getTimeoutStatus = () =>
+  Number(env('REQUEST_TIMEOUTSTATUS')) === 504 ? 504 : 503;
+
+/** Methods that do not change the resource; their preconditions are left to the handler. */
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE']);
+
+/**
+ * The target's handler. With a `validator` in its metadata, a request with
+ * an unsafe method (PUT, PATCH, DELETE, POST...) that carries If-Match,
+ * If-Unmodified-Since or If-None-Match first has them checked against the
+ * current state the validator returns (see Ammo#precondition), so a failed
+ * precondition answers 412 before the handler runs.
+ *
+ * @param {Object} target - The target endpoint object.
+ * @param {Ammo} ammo - The Ammo instance of the request.
+ * @returns {Function}
+ */
+const getHandler = (target, ammo) => {
+  const handler = target.getHandler();
+  const validator = target.getMetadata?.()?.validator;
+  if (
+    typeof validator !== 'function' ||
+    SAFE_METHODS.has(ammo.method) ||
+    !hasPreconditions(ammo.headers ?? {})
+  ) {
+    return handler;
+  }
+  return async (ammo, next) => {
+    ammo.precondition((await validator(ammo)) ?? undefined);
+    return handler(ammo, next);
+  };
+};
+
 /**
  * Executes the middleware and handler chain for a given target.
  *
+ * When a timeout applies (see getRequestTimeout), the chain is raced against
+ * it. On timeout, `ammo.signal` is aborted and the timeout status is sent via
+ * ammo.throw(); middlewares that have not started yet are skipped. The
+ * timeout only covers the time until the response starts: once headers are
+ * sent (e.g. a streamed body), the chain runs to completion.
+ *
  * @param {Object} target - The target endpoint object.
  * @param {Ammo} ammo - The Ammo instance containing request and response objects.
- * @returns {Promise<void>} A promise that resolves when the chain execution is complete.
+ * @returns {Promise<void>} A promise that resolves when the chain execution is complete, or when it times out.
  */
 const executeChain = async (target, ammo) => {
   let i = 0;
+  const controller = new AbortController();
+  ammo.signal = controller.signal;
+  ammo._etagMode = getEtagMode(target.getMetadata?.());
 
   const chain = targetRegistry.globalMiddlewares.concat(
     target.getMiddlewares(),
   );
-  chain.push(target.getHandler());
+  chain.push(getHandler(target, ammo));
 
   const next = async () => {
     // Check if response has already been sent (e.g., by passport.authenticate redirect)
@@ -127,11 +192,55 @@ const executeChain = async (target, ammo) => {
         !ammo.res.finished
       ) {
         await errorHandler(ammo, err);
+      } else {
+        logger.warn(
+          `Error after the response was sent on ${ammo.endpoint}: ${err?.message ?? err}`,
+        );
       }
     }
   };
 
-  await next();
+  const timeoutMs = getRequestTimeout(target);
+  if (!timeoutMs) {
+    await next();
+    return;
+  }
+
+  const spanCtx = traceStore.getStore()?.spanCtx;
+  const startMs = Date.now();
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs, true);
+  });
+
+  const done = next();
+  try {
+    if (!(await Promise.race([done.then(() => false), timedOut]))) return;
+  } finally {
+    clearTimeout(timer);
+  }
+  if (ammo.res.headersSent) {
+    await done;
+    return;
+  }
+
+  const status = getTimeoutStatus();
+  const err = new TejError(status, 'Request timed out');
+  controller.abort(err);
+  if (spanCtx) {
+    spanCtx.addSpan(
+      `timeout:${ammo.endpoint ?? ammo.path ?? '/'}`,
+      'other',
+      spanCtx.rootSpanId,
+      startMs,
+      Date.now() - startMs,
+      status,
+      { timeoutMs },
+    );
+  }
+  if (!ammo.res.headersSent && !ammo.res.writableEnded) {
+    await errorHandler(ammo, err);
+  }
 };
 
 /**
@@ -154,6 +263,42 @@ const errorHandler = async (ammo, err) => {
   }
 };
 
+/**
+ * With `router.trailingSlash: 'redirect'`, the URL a matched request should
+ * be redirected to: its canonical path (no trailing slash or empty segments,
+ * static segments spelled as registered) with the query string kept.
+ *
+ * @param {string} rawUrl - Request URL including the query string
+ * @param {string} url - Request path
+ * @param {string} prefix - Version prefix stripped before matching (e.g. '/v2'), or ''
+ * @param {{ path: string }} match - Result of targetRegistry.aim()
+ * @returns {string|null} The canonical URL, or null when no redirect is needed
+ */
+const canonicalRedirect = (rawUrl, url, prefix, match) => {
+  const { trailingSlash } = targetRegistry.getRouterConfig();
+  if (trailingSlash !== TRAILING_SLASH.REDIRECT) return null;
+  const path = prefix && match.path === '/' ? prefix : prefix + match.path;
+  if (path === url) return null;
+  const queryStart = rawUrl.indexOf('?');
+  return queryStart === -1 ? path : path + rawUrl.slice(queryStart);
+};
+
+/**
+ * Pseudo-target answering OPTIONS for a path whose endpoints declare their
+ * methods but not OPTIONS: 204 with an `Allow` header. Global middlewares run
+ * first, so a CORS middleware still answers preflight requests.
+ *
+ * @param {string[]} allowedMethods - Methods registered for the path
+ * @returns {{ getMiddlewares: () => Function[], getHandler: () => Function }}
+ */
+const autoOptions = (allowedMethods) => ({
+  getMiddlewares: () => [],
+  getHandler: () => (ammo) => {
+    ammo.res.setHeader('Allow', [...allowedMethods, 'OPTIONS'].join(', '));
+    ammo.fire(204);
+  },
+});
+
 /**
  * Main request handler function.
  *
@@ -174,7 +319,6 @@ const handler = async (req, res) => {
   }
 
   const url = (req.url ?? '/').split('?')[0] || '/';
-  const match = targetRegistry.aim(url);
   const ammo = new Ammo(req, res);
 
   try {
@@ -182,10 +326,45 @@ const handler = async (req, res) => {
     // always receive a fully-populated ammo (method flags, headers, payload, etc.).
     await ammo.enhance();
 
+    // Matched after enhance() so host-bound targets see the proxy-aware hostname.
+    const requested = resolveRequestVersion(
+      url,
+      ammo.headers,
+      targetRegistry.getVersions(),
+    );
+    let match = targetRegistry.aim(requested.path, method, {
+      hostname: ammo.hostname,
+      version: requested.version,
+    });
+    let prefix = requested.prefix;
+    // A leading `/v<n>` may also be a literal path segment of an unversioned route.
+    if (!match && requested.path !== url) {
+      match = targetRegistry.aim(url, method, { hostname: ammo.hostname });
+      prefix = '';
+    }
+    ammo.version = match?.version ?? requested.version;
+
     if (match && match.target) {
-      const allowedMethods = match.target.getMethods();
+      const location = canonicalRedirect(req.url ?? '/', url, prefix, match);
+      if (location) {
+        // 308 keeps the method and body of non-GET requests.
+        ammo.redirect(
+          location,
+          method === 'GET' || method === 'HEAD' ? 301 : 308,
+        );
+        return;
+      }
+
+      // Union of the methods registered for this path (per-method endpoints
+      // and metadata.methods), or null when an endpoint is method-agnostic.
+      const allowedMethods = match.allowedMethods;
       if (allowedMethods != null && allowedMethods.length > 0) {
         const method = ammo.method && String(ammo.method).toUpperCase();
+        if (method === 'OPTIONS' && !allowedMethods.includes(method)) {
+          if (env('LOG_HTTP_REQUESTS')) logHttpRequest(ammo);
+          await executeChain(autoOptions(allowedMethods), ammo);
+          return;
+        }
         if (!method || !allowedMethods.includes(method)) {
           ammo.res.setHeader('Allow', allowedMethods.join(', '));
           await errorHandler(ammo, new TejError(405, 'Method Not Allowed'));
@@ -201,31 +380,37 @@ const handler = async (req, res) => {
 
       // Add route parameters to ammo.params and ammo.payload
       ammo.params = match.params || {};
-      if (match.params && Object.keys(match.params).length > 0) {
-        Object.assign(ammo.payload, match.params);
-      }
+      ammo.payload = mergePayload(ammo, { route: match.target.getPath() });
 
       if (env('LOG_HTTP_REQUESTS')) logHttpRequest(ammo);
       await executeChain(match.target, ammo);
     } else {
-      if (req.url === '/') {
-        ammo.defaultEntry();
+      const fallback = targetRegistry.findFallback(url, ammo.hostname);
+      const entry = req.url === '/' ? targetRegistry.defaultEntry : false;
+      if (fallback) {
+        ammo.params = fallback.params;
+        ammo.payload = mergePayload(ammo, {
+          route: fallback.target.getPath(),
+        });
+        if (env('LOG_HTTP_REQUESTS')) logHttpRequest(ammo);
+        await executeChain(fallback.target, ammo);
       } else {
-        // Run global middlewares (CORS preflight, auth, logging, etc.) even for
-        // unmatched routes. A pseudo-target with no route-specific middlewares
-        // is used so the 404 response is sent at the end of the global chain.
+        // Run global middlewares (CORS preflight, auth, static files, etc.)
+        // even for unmatched routes. A pseudo-target with no route-specific
+        // middlewares is used so the response is sent at the end of the
+        // global chain.
+        const notFound = async () => {
+          if (!ammo.res.headersSent) {
+            await errorHandler(
+              ammo,
+              new TejError(404, `URL not found: ${url}`),
+            );
+          }
+        };
+        const shoot =
+          entry === true ? () => ammo.defaultEntry() : entry || notFound;
         await executeChain(
-          {
-            getMiddlewares: () => [],
-            getHandler: () => async () => {
-              if (!ammo.res.headersSent) {
-                await errorHandler(
-                  ammo,
-                  new TejError(404, `URL not found: ${url}`),
-                );
-              }
-            },
-          },
+          { getMiddlewares: () => [], getHandler: () => shoot },
           ammo,
         );
       }
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview Tests for the request handler: timeouts, automatic OPTIONS and HEAD.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { setEnv } from 'tej-env';
+import registry from './targets/registry.js';
+import Target from './target.js';
+import handler from './handler.js';
+import { traceStore } from '../radar/index.js';
+import { createSpanContext } from '../radar/spans.js';
+import cors from '../cors/index.js';
+import { startTestServer } from '../tests/helpers/test-utils.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Request timeouts', () => {
+  let stop;
+  let base;
+  let spanCtx;
+
+  const request = (path) => fetch(`${base}${path}`);
+
+  beforeEach(async () => {
+    spanCtx = createSpanContext('trace');
+    ({ base, stop } = await startTestServer((req, res) =>
+      traceStore.run({ traceId: 'trace', spanCtx }, () => handler(req, res)),
+    ));
+  });
+
+  afterEach(async () => {
+    setEnv('REQUEST_TIMEOUT', '');
+    setEnv('REQUEST_TIMEOUTSTATUS', '');
+    await stop();
+  });
+
+  it('should send 503 and abort the signal when a route times out', async () => {
+    let signal;
+    new Target().get('/slow', { timeout: 50 }, async (ammo) => {
+      signal = ammo.signal;
+      await sleep(500);
+      ammo.fire('late');
+    });
+
+    const res = await request('/slow');
+    expect(res.status).toBe(503);
+    expect(await res.json()).toEqual({ error: 'Request timed out' });
+    expect(signal.aborted).toBe(true);
+    expect(signal.reason.statusCode).toBe(503);
+
+    const span = spanCtx.spans.find((s) => s.name === 'timeout:/slow');
+    expect(span).toMatchObject({
+      type: 'other',
+      status: 503,
+      metadata: { timeoutMs: 50 },
+    });
+  });
+
+  it('should apply the global timeout and status', async () => {
+    setEnv('REQUEST_TIMEOUT', '50');
+    setEnv('REQUEST_TIMEOUTSTATUS', '504');
+    new Target().get('/slow', async (ammo) => {
+      await sleep(500);
+      ammo.fire('late');
+    });
+
+    expect((await request('/slow')).status).toBe(504);
+  });
+
+  it('should let metadata override or disable the global timeout', async () => {
+    setEnv('REQUEST_TIMEOUT', '20');
+    const target = new Target();
+    target.get('/report', { timeout: 0 }, async (ammo) => {
+      await sleep(60);
+      ammo.fire('done');
+    });
+    target.get('/fast', async (ammo) => {
+      ammo.fire({ aborted: ammo.signal.aborted });
+    });
+
+    const report = await request('/report');
+    expect(report.status).toBe(200);
+    expect(await report.json()).toEqual({ data: 'done' });
+    expect(await (await request('/fast')).json()).toEqual({
+      data: { aborted: false },
+    });
+    expect(spanCtx.spans.some((s) => s.type === 'other')).toBe(false);
+  });
+
+  it('should skip middlewares that had not started', async () => {
+    let reached = false;
+    new Target().get(
+      '/slow',
+      { timeout: 30 },
+      async (ammo, next) => {
+        await sleep(80);
+        await next();
+      },
+      (ammo) => {
+        reached = true;
+        ammo.fire('late');
+      },
+    );
+
+    expect((await request('/slow')).status).toBe(503);
+    await sleep(100);
+    expect(reached).toBe(false);
+  });
+
+  it('should not cut off a response that has started', async () => {
+    let signal;
+    new Target().get('/download', { timeout: 30 }, async (ammo) => {
+      signal = ammo.signal;
+      async function* chunks() {
+        for (let n = 0; n < 4; n++) {
+          yield `chunk ${n}\n`;
+          await sleep(25);
+        }
+      }
+      await ammo.stream(chunks(), { contentType: 'text/plain' });
+    });
+
+    const res = await request('/download');
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe('chunk 0\nchunk 1\nchunk 2\nchunk 3\n');
+    expect(signal.aborted).toBe(false);
+    expect(spanCtx.spans.some((s) => s.type === 'other')).toBe(false);
+  });
+});
+
+describe('Automatic OPTIONS and HEAD', () => {
+  let stop;
+  let base;
+
+  const request = (path, method) => fetch(`${base}${path}`, { method });
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+  });
+
+  afterEach(async () => {
+    await stop();
+  });
+
+  it('should answer OPTIONS with the registered methods', async () => {
+    let called = false;
+    const target = new Target('/users');
+    target.get('/', (ammo) => {
+      called = true;
+      ammo.fire([]);
+    });
+    target.post('/', (ammo) => ammo.fire(201));
+
+    const res = await request('/users', 'OPTIONS');
+    expect(res.status).toBe(204);
+    expect(res.headers.get('allow')).toBe('GET, HEAD, POST, OPTIONS');
+    expect(called).toBe(false);
+  });
+
+  it('should leave OPTIONS to endpoints that declare or accept it', async () => {
+    const target = new Target();
+    target.register('/declared', { methods: ['GET', 'OPTIONS'] }, (ammo) =>
+      ammo.fire('declared'),
+    );
+    target.register('/any', (ammo) => ammo.fire(ammo.method));
+
+    expect(await (await request('/declared', 'OPTIONS')).json()).toEqual({
+      data: 'declared',
+    });
+    expect(await (await request('/any', 'OPTIONS')).json()).toEqual({
+      data: 'OPTIONS',
+    });
+  });
+
+  it('should run global middlewares before answering OPTIONS', async () => {
+    registry.addGlobalMiddleware(cors({ methods: ['GET'] }));
+    new Target().get('/users', (ammo) => ammo.fire([]));
+
+    const res = await request('/users', 'OPTIONS');
+    expect(res.status).toBe(204);
+    expect(res.headers.get('access-control-allow-methods')).toBe('GET');
+    expect(res.headers.get('allow')).toBeNull();
+  });
+
+  it('should answer HEAD with the GET headers and no body', async () => {
+    const calls = [];
+    new Target().get('/users', (ammo) => {
+      calls.push(ammo.method);
+      ammo.fire([{ id: 1, name: 'Ann' }]);
+    });
+
+    const get = await request('/users', 'GET');
+    const body = await get.text();
+    const head = await request('/users', 'HEAD');
+
+    expect(head.status).toBe(200);
+    expect(await head.text()).toBe('');
+    expect(head.headers.get('content-type')).toBe('application/json');
+    expect(head.headers.get('content-length')).toBe(
+      String(Buffer.byteLength(body)),
+    );
+    expect(get.headers.get('content-length')).toBe(
+      head.headers.get('content-length'),
+    );
+    expect(calls).toEqual(['GET', 'HEAD']);
+  });
+});
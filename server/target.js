@@ -2,11 +2,60 @@ import TejLogger from 'tej-logger';
 
 import isMiddlewareValid from './targets/middleware-validator.js';
 import Endpoint from './endpoint.js';
+import { standardizePath } from './targets/path-validator.js';
+import { SEGMENT_KINDS, parsePattern } from './targets/path-pattern.js';
+import { compileHostPattern } from './targets/host-pattern.js';
 
 import targetRegistry from './targets/registry.js';
 
 const logger = new TejLogger('Target');
 
+const isPlainObject = (v) =>
+  typeof v === 'object' &&
+  v !== null &&
+  !Array.isArray(v) &&
+  (Object.getPrototypeOf(v) === Object.prototype ||
+    Object.getPrototypeOf(v) === null);
+
+/**
+ * Splits register()-style arguments into path, metadata, middlewares and handler.
+ * Logs and returns null when the path or handler is missing or of the wrong type.
+ *
+ * @param {Array} args - (path, [metadata], ...middlewares, handler)
+ * @param {string} name - Calling method name, used in log messages
+ * @returns {{ path: string, metadata: Object|null, middlewares: Function[], shoot: Function }|null}
+ */
+const parseRegisterArgs = (args, name) => {
+  if (args.length < 2) {
+    logger.error(
+      `${name}(path, [...middlewares], handler) requires at least path and handler. Skipping.`,
+    );
+    return null;
+  }
+
+  const path = args[0];
+  const shoot = args[args.length - 1];
+
+  if (typeof path !== 'string') {
+    logger.error(
+      `${name}() path must be a string, got ${typeof path}. Skipping.`,
+    );
+    return null;
+  }
+  if (typeof shoot !== 'function') {
+    logger.error(
+      `${name}() last argument (handler) must be a function, got ${typeof shoot}. Skipping.`,
+    );
+    return null;
+  }
+
+  const isMetadataObject = isPlainObject(args[1]);
+  if (isMetadataObject && args.length >= 3) {
+    return { path, metadata: args[1], middlewares: args.slice(2, -1), shoot };
+  }
+  return { path, metadata: null, middlewares: args.slice(1, -1), shoot };
+};
+
 /**
  * Target class represents a base routing configuration for endpoints. Think of it as router in express.
  * It provides functionality to set base paths, add middleware, and register endpoints.
@@ -29,6 +78,12 @@ const logger = new TejLogger('Target');
  *   // Handle GET /user/settings with additional auth middleware
  *   ammo.fire({ theme: 'dark' });
  * });
+ *
+ * // Or give each method its own middleware chain and handler
+ * userTarget.get('/posts', (ammo) => ammo.fire(postService.list()));
+ * userTarget.post('/posts', authMiddleware, (ammo) => {
+ *   ammo.fire(201, postService.create(ammo.payload));
+ * });
  */
 class Target {
   /**
@@ -36,13 +91,33 @@ class Target {
    *
    * @param {string} [base=''] - The base path for all endpoints registered under this target.
    *                            Must start with '/' if provided.
+   * @param {Object} [options]
+   * @param {string} [options.host] - Host pattern the endpoints are served on, e.g. 'api.example.com'
+   *   or ':tenant.example.com' (see host-pattern.js). Captured host params are merged into ammo.params.
+   *   Without a host, endpoints are served on every host. Targets mounted under this one inherit it.
+   * @throws {Error} If `options.host` is not a valid host pattern
    * @example
    * const apiTarget = new Target('/api');
    * const userTarget = new Target('/user');
+   * const tenantTarget = new Target('/', { host: ':tenant.example.com' });
    */
-  constructor(base = '') {
+  constructor(base = '', options = {}) {
     this.base = base;
     this.targetMiddlewares = [];
+    /** Compiled host pattern, or null to serve on any host (unless inherited on mount). */
+    this.host = options.host != null ? compileHostPattern(options.host) : null;
+    /** Target this one is mounted under, if any (see mount()). */
+    this.parent = null;
+    /** Path this target is mounted at, relative to the parent's full base. */
+    this.mountPath = '';
+    /** Middlewares inherited from ancestors at mount time, outermost first. */
+    this.inheritedMiddlewares = [];
+    /** @type {Target[]} Targets mounted under this one. */
+    this.children = [];
+    /** @type {Array<{ endpoint: Endpoint, path: string }>} Endpoints registered on this target, with their relative path. */
+    this.endpoints = [];
+    /** @type {Endpoint|null} Handler for unmatched URLs under this target (see fallback()). */
+    this.fallbackEndpoint = null;
   }
 
   /**
@@ -61,7 +136,8 @@ class Target {
 
   /**
    * Adds middleware functions to the target.
-   * These middleware functions will be applied to all endpoints registered under this target.
+   * These middleware functions will be applied to all endpoints registered under this target
+   * after this call, and to targets mounted under it after this call (see mount()).
    *
    * @param {...Function} middlewares - One or more middleware functions to add.
    * @returns {void}
@@ -80,11 +156,143 @@ class Target {
     this.targetMiddlewares = this.targetMiddlewares.concat(validMiddlewares);
   }
 
+  /**
+   * Mounts another target under this one. The child's endpoints (including
+   * ones registered later, and those of targets mounted under the child) are
+   * served at `<this full base><path><child base>`, and run this target's
+   * middlewares before the child's own. A child without its own host pattern
+   * inherits this target's. Nesting works to any depth.
+   *
+   * Middlewares are inherited as they are at mount time, in the same way
+   * register() only applies middlewares added with midair() before it.
+   *
+   * @param {string} path - Mount path relative to this target's base (e.g. '/v1'). Use '' or '/' to mount at the base itself.
+   * @param {Target} child - The target to mount. A target can only be mounted once.
+   * @returns {Target} This target, for chaining
+   * @example
+   * const api = new Target('/api');
+   * api.midair(authMiddleware);
+   *
+   * const users = new Target('/users');
+   * users.get('/:id', (ammo) => ammo.fire(userService.get(ammo.params.id)));
+   *
+   * api.mount('/v1', users); // GET /api/v1/users/:id, runs authMiddleware first
+   */
+  mount(path, child) {
+    if (typeof path !== 'string') {
+      logger.error(
+        `mount() path must be a string, got ${typeof path}. Skipping.`,
+      );
+      return this;
+    }
+    try {
+      const segments = parsePattern(path);
+      if (
+        segments.some((s) => s.optional || s.kind === SEGMENT_KINDS.WILDCARD)
+      ) {
+        throw new Error('optional params and wildcards are not allowed');
+      }
+    } catch (err) {
+      logger.error(`Invalid mount path "${path}": ${err.message}. Skipping.`);
+      return this;
+    }
+    if (!(child instanceof Target)) {
+      logger.error('mount() child must be a Target. Skipping.');
+      return this;
+    }
+    if (child.parent) {
+      logger.error(
+        `Target "${child.base}" is already mounted under "${child.parent.getBasePath()}". Skipping.`,
+      );
+      return this;
+    }
+    for (let ancestor = this; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === child) {
+        logger.error(
+          `Cannot mount target "${child.base}" under itself or one of its descendants. Skipping.`,
+        );
+        return this;
+      }
+    }
+
+    child.parent = this;
+    child.mountPath = path;
+    this.children.push(child);
+    child.inherit(this.getMiddlewareChain());
+    targetRegistry.invalidate(child.getEndpointTree());
+    return this;
+  }
+
+  /**
+   * Full base path including the bases and mount paths of all ancestors.
+   *
+   * @returns {string}
+   */
+  getBasePath() {
+    const own = `${standardizePath(this.mountPath)}${standardizePath(this.base)}`;
+    return this.parent ? `${this.parent.getBasePath()}${own}` : own;
+  }
+
+  /**
+   * Host pattern of this target, or of the nearest ancestor that has one.
+   *
+   * @returns {ReturnType<typeof compileHostPattern>|null} null when served on any host
+   */
+  getHost() {
+    return this.host ?? this.parent?.getHost() ?? null;
+  }
+
+  /**
+   * Middlewares an endpoint registered on this target right now would run
+   * before its own: inherited ones first, then this target's.
+   *
+   * @returns {Function[]}
+   */
+  getMiddlewareChain() {
+    return this.inheritedMiddlewares.concat(this.targetMiddlewares);
+  }
+
+  /**
+   * Applies a newly inherited middleware prefix, the new base path and the
+   * (possibly inherited) host to this target's endpoints and, recursively, to
+   * its children.
+   *
+   * @private
+   * @param {Function[]} middlewares - Middlewares inherited from the new parent chain
+   * @returns {void}
+   */
+  inherit(middlewares) {
+    this.inheritedMiddlewares = middlewares.concat(this.inheritedMiddlewares);
+    const base = this.getBasePath();
+    const host = this.getHost();
+    for (const { endpoint, path } of this.endpoints) {
+      endpoint.setPath(base, path);
+      endpoint.setHost(host);
+      endpoint.prependMiddlewares(middlewares);
+    }
+    if (this.fallbackEndpoint) {
+      this.fallbackEndpoint.setPath(base, '');
+      this.fallbackEndpoint.setHost(host);
+      this.fallbackEndpoint.prependMiddlewares(middlewares);
+    }
+    this.children.forEach((child) => child.inherit(middlewares));
+  }
+
+  /**
+   * @private
+   * @returns {Endpoint[]} Endpoints and fallbacks of this target and, recursively, its children
+   */
+  getEndpointTree() {
+    const own = this.endpoints.map(({ endpoint }) => endpoint);
+    if (this.fallbackEndpoint) own.push(this.fallbackEndpoint);
+    return own.concat(...this.children.map((c) => c.getEndpointTree()));
+  }
+
   /**
    * Registers a new endpoint under this target.
    *
    * @param {string} path - The path for the endpoint, relative to the base path.
-   * @param {Object} [metadata] - Optional metadata. If the second argument is a plain object, it is treated as metadata (e.g. { methods: ['GET', 'POST'] }). When `methods` is set, the framework returns 405 for other HTTP methods before the handler runs. HEAD is allowed automatically when GET is in the list.
+   * @param {Object} [metadata] - Optional metadata. If the second argument is a plain object, it is treated as metadata (e.g. { methods: ['GET', 'POST'] }). When `methods` is set, the framework returns 405 for other HTTP methods before the handler runs. HEAD is allowed automatically when GET is in the list. `name` names the route for urlFor() and ammo.redirect(). `version` (string or array) limits the endpoint to those API versions.
    * @param {...Function} [middlewares] - Optional middleware functions specific to this endpoint.
    * @param {Function} shoot - The handler function for the endpoint.
    * @returns {void}
@@ -101,6 +309,11 @@ class Target {
    *   if (ammo.POST) return ammo.fire(201, userService.create(ammo.payload));
    * });
    *
+   * // Name a route to build links to it with urlFor('user.show', { id })
+   * target.register('/users/:id', { name: 'user.show' }, (ammo) => {
+   *   ammo.fire(userService.get(ammo.params.id));
+   * });
+   *
    * // Register an endpoint with specific middleware
    * target.register('/protected', authMiddleware, (ammo) => {
    *   ammo.fire({ data: 'Protected data' });
@@ -116,49 +329,147 @@ class Target {
    * );
    */
   register() {
-    const args = Array.from(arguments);
-    if (args.length < 2) {
-      logger.error('register(path, [...middlewares], handler) requires at least path and handler. Skipping.');
-      return;
-    }
+    const parsed = parseRegisterArgs(Array.from(arguments), 'register');
+    if (!parsed) return;
 
-    const path = args[0];
-    const shoot = args[args.length - 1];
+    const { path, metadata, middlewares, shoot } = parsed;
+    const methods =
+      Array.isArray(metadata?.methods) && metadata.methods.length > 0
+        ? metadata.methods
+        : null;
+    this.addEndpoint(path, metadata, middlewares, shoot, methods);
+  }
 
-    if (typeof path !== 'string') {
-      logger.error(`register() path must be a string, got ${typeof path}. Skipping.`);
-      return;
-    }
+  /**
+   * Registers a GET endpoint. HEAD requests are served by the same handler.
+   * Takes the same arguments as {@link Target#register}; `metadata.methods` is ignored.
+   *
+   * @param {string} path - The path for the endpoint, relative to the base path.
+   * @param {Object} [metadata] - Optional metadata (summary, description, etc.).
+   * @param {...Function} [middlewares] - Optional middleware functions for this method only.
+   * @param {Function} shoot - The handler function.
+   * @returns {void}
+   * @example
+   * target.get('/users', (ammo) => ammo.fire(userService.list()));
+   * target.post('/users', validateUser, (ammo) => ammo.fire(201, userService.create(ammo.payload)));
+   */
+  get() {
+    this.registerMethod('GET', arguments);
+  }
+
+  /**
+   * Registers a POST endpoint. See {@link Target#get}.
+   * @returns {void}
+   */
+  post() {
+    this.registerMethod('POST', arguments);
+  }
+
+  /**
+   * Registers a PUT endpoint. See {@link Target#get}.
+   * @returns {void}
+   */
+  put() {
+    this.registerMethod('PUT', arguments);
+  }
+
+  /**
+   * Registers a PATCH endpoint. See {@link Target#get}.
+   * @returns {void}
+   */
+  patch() {
+    this.registerMethod('PATCH', arguments);
+  }
+
+  /**
+   * Registers a DELETE endpoint. See {@link Target#get}.
+   * @returns {void}
+   */
+  delete() {
+    this.registerMethod('DELETE', arguments);
+  }
+
+  /**
+   * Sets the handler for URLs under this target's base path that no route
+   * matches, in place of the 404 response. When several targets' fallbacks
+   * apply, the one with the longest base path wins. Calling it again
+   * replaces the fallback.
+   *
+   * Runs after global middlewares and this target's middlewares (as added
+   * with midair() before this call), then the given ones.
+   *
+   * @param {...Function} [middlewares] - Optional middleware functions for the fallback.
+   * @param {Function} shoot - The handler function.
+   * @returns {void}
+   * @example
+   * const api = new Target('/api');
+   * api.fallback((ammo) => ammo.fire(404, `No route for ${ammo.endpoint}`));
+   */
+  fallback() {
+    const args = Array.from(arguments);
+    const shoot = args.pop();
     if (typeof shoot !== 'function') {
-      logger.error(`register() last argument (handler) must be a function, got ${typeof shoot}. Skipping.`);
+      logger.error(
+        `fallback() last argument (handler) must be a function, got ${typeof shoot}. Skipping.`,
+      );
       return;
     }
 
-    const second = args[1];
-    const isPlainObject = (v) =>
-      typeof v === 'object' &&
-      v !== null &&
-      !Array.isArray(v) &&
-      (Object.getPrototypeOf(v) === Object.prototype || Object.getPrototypeOf(v) === null);
-    const isMetadataObject = isPlainObject(second);
-
-    let middlewares;
-    let metadata = null;
-    if (isMetadataObject && args.length >= 3) {
-      metadata = second;
-      middlewares = args.slice(2, -1);
-    } else {
-      middlewares = args.slice(1, -1);
+    const endpoint = new Endpoint();
+    endpoint.setPath(this.getBasePath(), '');
+    endpoint.setMiddlewares(this.getMiddlewareChain().concat(args));
+    endpoint.setHost(this.getHost());
+    endpoint.setHandler(shoot);
+    if (!endpoint.getHandler()) {
+      logger.error(
+        `Invalid fallback handler for "${endpoint.getPath()}". Skipping.`,
+      );
+      return;
     }
+    const group = targetRegistry.getCurrentSourceGroup();
+    if (group != null) endpoint.setGroup(group);
 
+    targetRegistry.setFallback(endpoint, this.fallbackEndpoint);
+    this.fallbackEndpoint = endpoint;
+  }
+
+  /**
+   * Registers an endpoint restricted to a single HTTP method.
+   *
+   * @private
+   * @param {string} method - HTTP method (e.g. 'GET')
+   * @param {IArguments|Array} args - Arguments passed to get()/post()/etc.
+   * @returns {void}
+   */
+  registerMethod(method, args) {
+    const parsed = parseRegisterArgs(Array.from(args), method.toLowerCase());
+    if (!parsed) return;
+
+    const { path, metadata, middlewares, shoot } = parsed;
+    this.addEndpoint(path, metadata, middlewares, shoot, [method]);
+  }
+
+  /**
+   * Builds an Endpoint and adds it to the registry.
+   *
+   * @private
+   * @param {string} path - Path relative to the base path
+   * @param {Object|null} metadata - Endpoint metadata
+   * @param {Function[]} middlewares - Route-level middlewares
+   * @param {Function} shoot - Handler
+   * @param {string[]|null} methods - Allowed methods, or null for method-agnostic
+   * @returns {void}
+   */
+  addEndpoint(path, metadata, middlewares, shoot, methods) {
     try {
       const endpoint = new Endpoint();
-      endpoint.setPath(this.base, path);
+      endpoint.setPath(this.getBasePath(), path);
       if (!endpoint.getPath()) {
         logger.error(`Invalid path for endpoint "${path}". Skipping.`);
         return;
       }
-      endpoint.setMiddlewares(middlewares);
+      endpoint.setMiddlewares(this.getMiddlewareChain().concat(middlewares));
+      endpoint.setHost(this.getHost());
       endpoint.setHandler(shoot);
       if (!endpoint.getHandler()) {
         logger.error(`Invalid handler for endpoint "${path}". Skipping.`);
@@ -166,16 +477,35 @@ class Target {
       }
       if (metadata !== null) {
         endpoint.setMetadata(metadata);
-        if (Array.isArray(metadata.methods) && metadata.methods.length > 0) {
-          endpoint.setMethods(metadata.methods);
+        endpoint.setVersions(metadata.version ?? null);
+      }
+      if (metadata?.name != null) {
+        // Endpoints serving different versions may share a name (see urlFor's `version`).
+        const versions = endpoint.getVersions();
+        const named = targetRegistry
+          .getRegistering()
+          .find(
+            (t) =>
+              t.getMetadata?.()?.name === metadata.name &&
+              (!versions ||
+                !t.getVersions?.() ||
+                t.getVersions().some((v) => versions.includes(v))),
+          );
+        if (named) {
+          logger.warn(
+            `Route name "${metadata.name}" is already used by "${named.getPath()}"; urlFor() keeps resolving to that route.`,
+          );
         }
       }
+      if (methods !== null) endpoint.setMethods(methods);
+
       const group = targetRegistry.getCurrentSourceGroup();
       if (group != null) {
         endpoint.setGroup(group);
       }
 
-      targetRegistry.targets.push(endpoint);
+      this.endpoints.push({ endpoint, path });
+      targetRegistry.register(endpoint);
     } catch (error) {
       logger.error(`Error registering target ${path}: ${error.message}`);
     }
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Tests for Target endpoint registration.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import Target from './target.js';
+import registry from './targets/registry.js';
+
+const noop = (ammo) => ammo.fire();
+
+describe('Target per-method registration', () => {
+  beforeEach(() => {
+    registry.targets = [];
+  });
+
+  it('should register one endpoint per method on the same path', () => {
+    const users = new Target('/users');
+    const list = (ammo) => ammo.fire([]);
+    const create = (ammo) => ammo.fire(201);
+    users.get('/', list);
+    users.post('/', create);
+
+    expect(registry.targets).toHaveLength(2);
+    expect(registry.aim('/users', 'GET').target.getHandler()).toBe(list);
+    expect(registry.aim('/users', 'POST').target.getHandler()).toBe(create);
+    expect(registry.aim('/users', 'GET').target.getMethods()).toEqual([
+      'GET',
+      'HEAD',
+    ]);
+  });
+
+  it('should keep middlewares and metadata per method', () => {
+    const users = new Target('/users');
+    const auth = (ammo, next) => next();
+    users.get('/:id', { summary: 'Get user' }, noop);
+    users.delete('/:id', { summary: 'Delete user' }, auth, noop);
+
+    const remove = registry.aim('/users/1', 'DELETE').target;
+    expect(remove.getMethods()).toEqual(['DELETE']);
+    expect(remove.getMiddlewares()).toEqual([auth]);
+    expect(remove.getMetadata().summary).toBe('Delete user');
+    expect(registry.aim('/users/1', 'GET').target.getMiddlewares()).toEqual([]);
+  });
+
+  it('should ignore metadata.methods in per-method registration', () => {
+    new Target('/x').put('/', { methods: ['GET'] }, noop);
+    expect(registry.targets[0].getMethods()).toEqual(['PUT']);
+  });
+
+  it('should skip registration without a handler', () => {
+    new Target('/x').patch('/');
+    expect(registry.targets).toHaveLength(0);
+  });
+});
+
+describe('Target.mount', () => {
+  beforeEach(() => {
+    registry.targets = [];
+  });
+
+  const tag = (name, calls) => {
+    const mw = (ammo, next) => {
+      calls.push(name);
+      return next();
+    };
+    return mw;
+  };
+
+  it('should serve child endpoints under the combined base path', () => {
+    const api = new Target('/api');
+    const users = new Target('/users');
+    users.get('/:id', noop);
+    api.mount('/v1', users);
+    users.post('/', noop);
+
+    expect(registry.targets.map((t) => t.getPath())).toEqual([
+      '/api/v1/users/:id',
+      '/api/v1/users',
+    ]);
+    expect(registry.aim('/api/v1/users/7', 'GET').params.id).toBe('7');
+    expect(registry.aim('/users/7', 'GET')).toBeNull();
+  });
+
+  it('should report re-pathed endpoints in a change event', () => {
+    const events = [];
+    const onChange = (event) => events.push(event);
+    const api = new Target('/api');
+    const users = new Target('/users');
+    users.get('/', noop);
+    users.fallback(noop);
+    registry.on('change', onChange);
+    try {
+      api.mount('/', users);
+    } finally {
+      registry.off('change', onChange);
+    }
+
+    expect(events).toHaveLength(1);
+    expect(events[0].updated.map((t) => t.getPath())).toEqual([
+      '/api/users',
+      '/api/users',
+    ]);
+  });
+
+  it('should inherit middlewares outermost first, to any depth', () => {
+    const calls = [];
+    const root = new Target('/api');
+    const v1 = new Target('/v1');
+    const users = new Target('/users');
+    const route = tag('route', calls);
+    root.midair(tag('root', calls));
+    v1.midair(tag('v1', calls));
+    users.midair(tag('users', calls));
+    users.get('/', route, noop);
+
+    v1.mount('', users);
+    root.mount('/', v1);
+
+    const endpoint = registry.aim('/api/v1/users', 'GET').target;
+    const next = () => {};
+    endpoint.getMiddlewares().forEach((mw) => mw({}, next));
+    expect(calls).toEqual(['root', 'v1', 'users', 'route']);
+  });
+
+  it('should apply to endpoints registered after mounting', () => {
+    const parent = new Target('/p');
+    const auth = (ammo, next) => next();
+    parent.midair(auth);
+    const child = new Target('/c');
+    parent.mount('/', child);
+    child.get('/x', noop);
+    expect(registry.targets[0].getPath()).toBe('/p/c/x');
+    expect(registry.targets[0].getMiddlewares()).toEqual([auth]);
+  });
+
+  it('should refuse to mount a target twice or into a cycle', () => {
+    const a = new Target('/a');
+    const b = new Target('/b');
+    const c = new Target('/c');
+    b.get('/', noop);
+    a.mount('/', b);
+    c.mount('/', b);
+    b.mount('/', a);
+    expect(b.parent).toBe(a);
+    expect(a.parent).toBeNull();
+    expect(registry.targets[0].getPath()).toBe('/a/b');
+  });
+});
+
+describe('Target.fallback', () => {
+  const spa = (ammo) => ammo.fire('index.html');
+  const apiNotFound = (ammo) => ammo.fire(404, { error: 'Not found' });
+
+  beforeEach(() => {
+    registry.targets = [];
+    registry.fallbacks = [];
+  });
+
+  it('should pick the fallback with the longest matching base path', () => {
+    const root = new Target();
+    const api = new Target('/api');
+    root.fallback(spa);
+    api.fallback(apiNotFound);
+
+    expect(registry.findFallback('/api/missing').target.getHandler()).toBe(
+      apiNotFound,
+    );
+    expect(registry.findFallback('/api').target.getHandler()).toBe(apiNotFound);
+    expect(registry.findFallback('/apiary').target.getHandler()).toBe(spa);
+    expect(registry.findFallback('/').target.getHandler()).toBe(spa);
+  });
+
+  it('should return null when no fallback applies', () => {
+    new Target('/api').fallback(apiNotFound);
+    expect(registry.findFallback('/about')).toBeNull();
+  });
+
+  it('should replace the previous fallback of the target', () => {
+    const api = new Target('/api');
+    api.fallback(spa);
+    api.fallback(apiNotFound);
+    expect(registry.fallbacks).toHaveLength(1);
+    expect(registry.findFallback('/api/x').target.getHandler()).toBe(
+      apiNotFound,
+    );
+  });
+
+  it('should follow mounts and capture base params', () => {
+    const auth = (ammo, next) => next();
+    const orgs = new Target('/orgs/:orgId');
+    orgs.midair(auth);
+    const projects = new Target('/projects');
+    projects.fallback(apiNotFound);
+    orgs.mount('/', projects);
+
+    const match = registry.findFallback('/orgs/7/projects/unknown');
+    expect(match.target.getPath()).toBe('/orgs/:orgId/projects');
+    expect(match.target.getMiddlewares()).toEqual([auth]);
+    expect(match.params.orgId).toBe('7');
+  });
+});
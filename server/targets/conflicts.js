@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Startup validation for registered routes.
+ *
+ * Two endpoints conflict when the router can never tell them apart and they
+ * accept at least one common HTTP method. The endpoint registered first then
+ * always wins and the later one is unreachable for those methods:
+ * - duplicate: identical paths (`/users` twice)
+ * - equivalent: different paths with the same shape, e.g. params that only
+ *   differ in name (`/users/:id` vs `/users/:userId`), or an optional param
+ *   variant that equals another route (`/posts/:slug?` vs `/posts`)
+ *
+ * Endpoints on the same path with disjoint methods (separate GET and POST
+ * handlers), bound to different host patterns, or declaring different API
+ * versions, are not conflicts. The router policy is honoured: with
+ * `router.caseSensitive: false`, `/Users` and `/users` conflict; with
+ * `router.trailingSlash: 'strict'`, `/users` and `/users/` do not.
+ */
+
+import { SEGMENT_KINDS, parsePattern, expandOptional } from './path-pattern.js';
+import { TRAILING_SLASH, getRouterConfig } from './router-config.js';
+
+/**
+ * Shape key of one parsed pattern variant: param names are dropped, regex
+ * sources are kept (different constraints are different routes).
+ *
+ * @param {Array<object>} segments
+ * @param {boolean} [caseSensitive=true] - When false, static segments are lowercased
+ * @returns {string}
+ */
+const shapeOf = (segments, caseSensitive = true) =>
+  '/' +
+  segments
+    .map((s) => {
+      switch (s.kind) {
+        case SEGMENT_KINDS.REGEX:
+          return `:(${s.source})`;
+        case SEGMENT_KINDS.PARAM:
+          return ':';
+        case SEGMENT_KINDS.WILDCARD:
+          return '*';
+        default:
+          return caseSensitive ? s.value : s.value.toLowerCase();
+      }
+    })
+    .join('/');
+
+/**
+ * Methods accepted by both endpoints.
+ *
+ * @param {string[]|null} a - Methods of the first endpoint (null = all)
+ * @param {string[]|null} b - Methods of the second endpoint (null = all)
+ * @returns {string[]|null|false} Shared methods, null when both accept all, false when disjoint
+ */
+const sharedMethods = (a, b) => {
+  const methodsA = a && a.length > 0 ? a : null;
+  const methodsB = b && b.length > 0 ? b : null;
+  if (!methodsA) return methodsB;
+  if (!methodsB) return methodsA;
+  const shared = methodsA.filter((m) => methodsB.includes(m));
+  return shared.length > 0 ? shared : false;
+};
+
+/**
+ * Finds endpoints shadowed by an earlier registration.
+ *
+ * @param {Array<{ getPath: () => string, getMethods?: () => string[]|null, getGroup?: () => string|null, getHost?: () => { shape: string }|null }>} targets
+ * @param {{ trailingSlash: string, caseSensitive: boolean }} [routerConfig] - Defaults to the configured policy
+ * @returns {Array<{ type: 'duplicate'|'equivalent', winner: object, shadowed: object, methods: string[]|null }>}
+ *   One entry per shadowed endpoint and earlier endpoint that shadows it.
+ *   `methods` are the methods they share (null = all methods).
+ */
+const findRouteConflicts = (targets, routerConfig = getRouterConfig()) => {
+  const strictSlash = routerConfig.trailingSlash === TRAILING_SLASH.STRICT;
+  /** @type {Map<string, object[]>} Shape key → targets in registration order. */
+  const byShape = new Map();
+  const conflicts = [];
+  /** @type {Map<object, Set<object>>} Winner → shadowed targets already reported. */
+  const reported = new Map();
+
+  for (const target of targets) {
+    let segments;
+    try {
+      segments = parsePattern(target.getPath());
+    } catch {
+      continue;
+    }
+
+    const host = target.getHost?.()?.shape ?? '*';
+    const versions = target.getVersions?.() ?? ['*'];
+    const slash = strictSlash && target.hasTrailingSlash?.() ? '/' : '';
+    const keys = expandOptional(segments).flatMap((variant) => {
+      const shape = shapeOf(variant, routerConfig.caseSensitive) + slash;
+      return versions.map((v) => `${host} ${v} ${shape}`);
+    });
+
+    for (const key of keys) {
+      const earlier = byShape.get(key) ?? [];
+
+      for (const winner of earlier) {
+        if (winner === target) continue;
+        const methods = sharedMethods(
+          winner.getMethods?.() ?? null,
+          target.getMethods?.() ?? null,
+        );
+        if (methods === false) continue;
+
+        const shadowed = reported.get(winner) ?? new Set();
+        if (shadowed.has(target)) continue;
+        shadowed.add(target);
+        reported.set(winner, shadowed);
+        conflicts.push({
+          type:
+            winner.getPath() === target.getPath() ? 'duplicate' : 'equivalent',
+          winner,
+          shadowed: target,
+          methods,
+        });
+      }
+
+      earlier.push(target);
+      byShape.set(key, earlier);
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * @param {{ getPath: () => string, getGroup?: () => string|null, getHost?: () => { pattern: string }|null }} target
+ * @returns {string} Quoted path, with its host pattern and source group when known
+ */
+const describeTarget = (target) => {
+  const host = target.getHost?.();
+  const group = target.getGroup?.();
+  const path = host
+    ? `"${target.getPath()}" on ${host.pattern}`
+    : `"${target.getPath()}"`;
+  return group ? `${path} (${group})` : path;
+};
+
+/**
+ * Human-readable report of findRouteConflicts() results.
+ *
+ * @param {ReturnType<typeof findRouteConflicts>} conflicts
+ * @returns {string}
+ */
+const formatRouteConflicts = (conflicts) => {
+  const lines = conflicts.map(({ type, winner, shadowed, methods }) => {
+    const label =
+      type === 'duplicate' ? 'Duplicate route' : 'Equivalent patterns';
+    const on = methods ? methods.join(', ') : 'all methods';
+    return `  - ${label} [${on}]: ${describeTarget(shadowed)} is shadowed by ${describeTarget(winner)}, registered first`;
+  });
+  return [`${conflicts.length} route conflict(s) found:`, ...lines].join('\n');
+};
+
+export { findRouteConflicts, formatRouteConflicts };
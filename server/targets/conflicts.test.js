@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests for startup route conflict detection.
+ */
+import { describe, it, expect } from 'vitest';
+import { findRouteConflicts, formatRouteConflicts } from './conflicts.js';
+
+const route = (path, methods = null, group = null) => ({
+  getPath: () => path,
+  getMethods: () => methods,
+  getGroup: () => group,
+});
+
+describe('findRouteConflicts', () => {
+  it('should report duplicate paths', () => {
+    const first = route('/users');
+    const second = route('/users');
+    const [conflict, ...rest] = findRouteConflicts([first, second]);
+    expect(rest).toHaveLength(0);
+    expect(conflict).toMatchObject({
+      type: 'duplicate',
+      winner: first,
+      shadowed: second,
+      methods: null,
+    });
+  });
+
+  it('should report params that only differ in name', () => {
+    const byId = route('/users/:id', ['GET', 'HEAD']);
+    const byUserId = route('/users/:userId');
+    const [conflict] = findRouteConflicts([byId, byUserId]);
+    expect(conflict.type).toBe('equivalent');
+    expect(conflict.shadowed).toBe(byUserId);
+    expect(conflict.methods).toEqual(['GET', 'HEAD']);
+  });
+
+  it('should report optional param variants equal to another route', () => {
+    const posts = route('/posts/:slug?');
+    const list = route('/posts');
+    const [conflict] = findRouteConflicts([posts, list]);
+    expect(conflict.shadowed).toBe(list);
+  });
+
+  it('should ignore disjoint methods and distinct shapes', () => {
+    expect(
+      findRouteConflicts([
+        route('/users', ['GET', 'HEAD']),
+        route('/users', ['POST']),
+        route('/users/:id(\\d+)'),
+        route('/users/:name'),
+        route('/users/me'),
+        route('/users/*rest'),
+      ]),
+    ).toEqual([]);
+  });
+
+  it('should report only the overlapping methods', () => {
+    const [conflict] = findRouteConflicts([
+      route('/items', ['GET', 'POST']),
+      route('/items', ['POST', 'PUT']),
+    ]);
+    expect(conflict.methods).toEqual(['POST']);
+  });
+});
+
+describe('formatRouteConflicts', () => {
+  it('should list each conflict with its source group', () => {
+    const report = formatRouteConflicts(
+      findRouteConflicts([
+        route('/health', null, 'index'),
+        route('/health', null, 'status'),
+      ]),
+    );
+    expect(report).toBe(
+      '1 route conflict(s) found:\n' +
+        '  - Duplicate route [all methods]: "/health" (status) is shadowed by "/health" (index), registered first',
+    );
+  });
+});
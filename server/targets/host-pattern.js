@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Host patterns for host- and subdomain-based routing.
+ *
+ * A host pattern is split on `.` into labels. Each label is either static
+ * (`example`, matched case-insensitively) or a param using the path syntax:
+ * `:tenant` matches any one label, `:tenant([a-z]+)` one label that fully
+ * matches the regex. Optional params and wildcards are not supported.
+ *
+ *   new Target('/', { host: ':tenant.example.com' });
+ *   // tenant-a.example.com → { tenant: 'tenant-a' }
+ */
+
+import { SEGMENT_KINDS, parseSegment } from './path-pattern.js';
+
+/**
+ * Remove the port from a Host header value (`example.com:8080`,
+ * `[::1]:3000`) and lowercase it.
+ *
+ * @param {string} [host]
+ * @returns {string}
+ */
+const stripPort = (host) => {
+  if (!host) return '';
+  const value = String(host).trim().toLowerCase();
+  if (value.startsWith('[')) {
+    const end = value.indexOf(']');
+    return end === -1 ? value : value.slice(0, end + 1);
+  }
+  const colon = value.indexOf(':');
+  return colon === -1 ? value : value.slice(0, colon);
+};
+
+/**
+ * Compile a host pattern.
+ *
+ * @param {string} pattern - Host pattern (e.g. 'api.example.com', ':tenant.example.com')
+ * @returns {{ pattern: string, shape: string, match: (host: string) => Object<string, string>|null }}
+ *   `shape` is the pattern with param names removed, so equivalent patterns compare equal.
+ *   `match` takes a hostname (port allowed) and returns the captured params, or null.
+ * @throws {Error} If the pattern is empty or uses optional params or wildcards
+ */
+const compileHostPattern = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error('Host pattern must be a non-empty string');
+  }
+
+  const labels = pattern
+    .trim()
+    .split('.')
+    .map((label) => {
+      const segment = parseSegment(label);
+      if (segment.optional || segment.kind === SEGMENT_KINDS.WILDCARD) {
+        throw new Error(
+          `Invalid host label "${label}" in "${pattern}": optional params and wildcards are not supported`,
+        );
+      }
+      if (segment.kind === SEGMENT_KINDS.STATIC) {
+        if (label === '') throw new Error(`Empty label in host "${pattern}"`);
+        return { ...segment, value: label.toLowerCase() };
+      }
+      return segment;
+    });
+
+  const shape = labels
+    .map((l) =>
+      l.kind === SEGMENT_KINDS.STATIC
+        ? l.value
+        : l.kind === SEGMENT_KINDS.REGEX
+          ? `:(${l.source})`
+          : ':',
+    )
+    .join('.');
+
+  const match = (host) => {
+    const parts = stripPort(host).split('.');
+    if (parts.length !== labels.length) return null;
+
+    const params = Object.create(null);
+    for (let i = 0; i < labels.length; i++) {
+      const label = labels[i];
+      const part = parts[i];
+      if (part === '') return null;
+      if (label.kind === SEGMENT_KINDS.STATIC) {
+        if (label.value !== part) return null;
+      } else {
+        if (label.kind === SEGMENT_KINDS.REGEX && !label.regex.test(part)) {
+          return null;
+        }
+        params[label.name] = part;
+      }
+    }
+    return params;
+  };
+
+  return { pattern, shape, match };
+};
+
+export { compileHostPattern, stripPort };
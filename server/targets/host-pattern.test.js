@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Tests for host patterns and host-based routing.
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { compileHostPattern, stripPort } from './host-pattern.js';
+import { findRouteConflicts } from './conflicts.js';
+import registry from './registry.js';
+import Target from '../target.js';
+import Ammo from '../ammo.js';
+import { createMockPair } from '../../tests/helpers/mock-http.js';
+
+const noop = (ammo) => ammo.fire();
+
+describe('compileHostPattern', () => {
+  it('should match static hosts case-insensitively, ignoring the port', () => {
+    const { match } = compileHostPattern('API.example.com');
+    expect(match('api.example.com:8080')).toEqual({});
+    expect(match('admin.example.com')).toBeNull();
+    expect(match('example.com')).toBeNull();
+  });
+
+  it('should capture params and honour regex constraints', () => {
+    const { match } = compileHostPattern(':tenant([a-z]+).example.com');
+    expect(match('acme.example.com')).toEqual(
+      Object.assign(Object.create(null), { tenant: 'acme' }),
+    );
+    expect(match('acme42.example.com')).toBeNull();
+  });
+
+  it('should reject wildcards and optional params', () => {
+    expect(() => compileHostPattern('*sub.example.com')).toThrow();
+    expect(() => compileHostPattern(':sub?.example.com')).toThrow();
+    expect(() => compileHostPattern('')).toThrow();
+  });
+
+  it('should strip ports from IPv4, names and IPv6', () => {
+    expect(stripPort('localhost:3000')).toBe('localhost');
+    expect(stripPort('[::1]:3000')).toBe('[::1]');
+    expect(stripPort(undefined)).toBe('');
+  });
+});
+
+describe('Host-based routing', () => {
+  beforeEach(() => {
+    registry.targets = [];
+  });
+
+  it('should route the same path by host', () => {
+    const api = new Target('/', { host: 'api.example.com' });
+    const admin = new Target('/', { host: 'admin.example.com' });
+    api.get('/status', noop);
+    admin.get('/status', noop);
+
+    expect(
+      registry.aim('/status', 'GET', { hostname: 'api.example.com' }).target,
+    ).toBe(registry.targets[0]);
+    expect(
+      registry.aim('/status', 'GET', { hostname: 'admin.example.com' }).target,
+    ).toBe(registry.targets[1]);
+    expect(
+      registry.aim('/status', 'GET', { hostname: 'other.example.com' }),
+    ).toBeNull();
+  });
+
+  it('should merge host params into params', () => {
+    const tenants = new Target('/projects', { host: ':tenant.example.com' });
+    tenants.get('/:id', noop);
+    expect(
+      registry.aim('/projects/7', 'GET', { hostname: 'acme.example.com:443' })
+        .params,
+    ).toEqual(Object.assign(Object.create(null), { tenant: 'acme', id: '7' }));
+  });
+
+  it('should prefer host-bound endpoints over host-agnostic ones', () => {
+    new Target('/').get('/', noop);
+    new Target('/', { host: 'api.example.com' }).get('/', noop);
+    expect(
+      registry.aim('/', 'GET', { hostname: 'api.example.com' }).target,
+    ).toBe(registry.targets[1]);
+    expect(
+      registry.aim('/', 'GET', { hostname: 'www.example.com' }).target,
+    ).toBe(registry.targets[0]);
+  });
+
+  it('should let mounted targets inherit the host', () => {
+    const parent = new Target('/', { host: 'api.example.com' });
+    const child = new Target('/users');
+    child.get('/', noop);
+    parent.mount('/v1', child);
+    expect(
+      registry.aim('/v1/users', 'GET', { hostname: 'api.example.com' }),
+    ).not.toBeNull();
+    expect(
+      registry.aim('/v1/users', 'GET', { hostname: 'example.com' }),
+    ).toBeNull();
+  });
+
+  it('should not report the same path on different hosts as a conflict', () => {
+    new Target('/', { host: 'a.example.com' }).get('/x', noop);
+    new Target('/', { host: 'b.example.com' }).get('/x', noop);
+    new Target('/', { host: ':one.example.com' }).get('/y', noop);
+    new Target('/', { host: ':two.example.com' }).get('/y', noop);
+    const conflicts = findRouteConflicts(registry.targets);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].shadowed.getPath()).toBe('/y');
+  });
+});
+
+describe('Ammo hostname', () => {
+  it('should prefer the first X-Forwarded-Host value', async () => {
+    const { req, res } = createMockPair({
+      headers: {
+        host: 'internal:3000',
+        'x-forwarded-host': 'api.example.com, proxy.local',
+      },
+    });
+    const ammo = new Ammo(req, res);
+    await ammo.enhance();
+    expect(ammo.hostname).toBe('api.example.com');
+  });
+});
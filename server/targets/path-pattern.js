@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Route path pattern syntax.
+ *
+ * A route path is split on `/` into segments. Each segment is one of:
+ *
+ * | Syntax           | Kind     | Matches                                              |
+ * | ---------------- | -------- | ---------------------------------------------------- |
+ * | `users`          | static   | exactly `users`                                      |
+ * | `:id(\d+)`       | regex    | one segment that fully matches the regex             |
+ * | `:id`            | param    | any one segment                                      |
+ * | `*path`          | wildcard | one or more remaining segments, joined with `/`      |
+ *
+ * Params may be made optional with a trailing `?` (`:slug?`, `:id(\d+)?`).
+ * Optional params must come after every required segment, and a wildcard
+ * must be the last segment.
+ *
+ * Specificity (used by the router when routes overlap) is decided segment by
+ * segment, left to right: static > regex > param > wildcard.
+ */
+
+/** Segment kinds, ordered from most to least specific. */
+const SEGMENT_KINDS = Object.freeze({
+  STATIC: 'static',
+  REGEX: 'regex',
+  PARAM: 'param',
+  WILDCARD: 'wildcard',
+});
+
+const PARAM_RE = /^:([A-Za-z_$][\w$]*)(?:\((.+)\))?(\?)?$/;
+const WILDCARD_RE = /^\*([A-Za-z_$][\w$]*)$/;
+
+/**
+ * Parse a single path segment.
+ *
+ * @param {string} segment - One path segment (no slashes)
+ * @returns {{ kind: string, value?: string, name?: string, regex?: RegExp, source?: string, optional: boolean }}
+ * @throws {Error} If the segment uses invalid param, regex, or wildcard syntax
+ */
+const parseSegment = (segment) => {
+  if (segment.startsWith(':')) {
+    const match = PARAM_RE.exec(segment);
+    if (!match) throw new Error(`Invalid route param "${segment}"`);
+    const [, name, source, optional] = match;
+    if (source === undefined) {
+      return { kind: SEGMENT_KINDS.PARAM, name, optional: !!optional };
+    }
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${source})$`);
+    } catch (err) {
+      throw new Error(
+        `Invalid regex in route param "${segment}": ${err.message}`,
+      );
+    }
+    return {
+      kind: SEGMENT_KINDS.REGEX,
+      name,
+      regex,
+      source,
+      optional: !!optional,
+    };
+  }
+
+  if (segment.startsWith('*')) {
+    const match = WILDCARD_RE.exec(segment);
+    if (!match) throw new Error(`Invalid wildcard "${segment}"`);
+    return { kind: SEGMENT_KINDS.WILDCARD, name: match[1], optional: false };
+  }
+
+  return { kind: SEGMENT_KINDS.STATIC, value: segment, optional: false };
+};
+
+/**
+ * Parse a full route path into segments and validate their order.
+ *
+ * @param {string} path - Route path (e.g. '/files/*path', '/posts/:slug?')
+ * @returns {Array<ReturnType<typeof parseSegment>>}
+ * @throws {Error} If a segment is invalid, a wildcard is not last, or a required
+ *   segment follows an optional one
+ */
+const parsePattern = (path) => {
+  const segments = (path ?? '')
+    .split('/')
+    .filter((s) => s.length > 0)
+    .map(parseSegment);
+
+  let sawOptional = false;
+  segments.forEach((segment, i) => {
+    if (segment.kind === SEGMENT_KINDS.WILDCARD && i !== segments.length - 1) {
+      throw new Error(`Wildcard "*${segment.name}" must be the last segment`);
+    }
+    if (segment.optional) sawOptional = true;
+    else if (sawOptional) {
+      throw new Error('Optional params must come after all required segments');
+    }
+  });
+
+  return segments;
+};
+
+/**
+ * Expand a parsed pattern into its concrete variants: one per number of
+ * trailing optional params present. `/posts/:slug?` → `/posts`, `/posts/:slug`.
+ *
+ * @param {Array<ReturnType<typeof parseSegment>>} segments
+ * @returns {Array<Array<ReturnType<typeof parseSegment>>>} Shortest variant first
+ */
+const expandOptional = (segments) => {
+  const firstOptional = segments.findIndex((s) => s.optional);
+  if (firstOptional === -1) return [segments];
+
+  const variants = [];
+  for (let end = firstOptional; end <= segments.length; end++) {
+    variants.push(segments.slice(0, end));
+  }
+  return variants;
+};
+
+/**
+ * @param {Array<ReturnType<typeof parseSegment>>} segments
+ * @returns {boolean} True when every segment is static
+ */
+const isStaticPattern = (segments) =>
+  segments.every((s) => s.kind === SEGMENT_KINDS.STATIC);
+
+export {
+  SEGMENT_KINDS,
+  parseSegment,
+  parsePattern,
+  expandOptional,
+  isStaticPattern,
+};
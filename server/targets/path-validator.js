@@ -1,4 +1,5 @@
 import TejLogger from 'tej-logger';
+import { parsePattern } from './path-pattern.js';
 
 const logger = new TejLogger('PathValidator');
 
@@ -15,6 +16,15 @@ const isPathValid = (path) => {
     return false;
   }
 
+  try {
+    parsePattern(path);
+  } catch (err) {
+    logger.error(
+      `Path ${path} is not a valid route pattern: ${err.message}. Skipping...`,
+    );
+    return false;
+  }
+
   return true;
 };
 
@@ -1,19 +1,231 @@
+import { EventEmitter } from 'node:events';
 import isMiddlewareValid from './middleware-validator.js';
 import { standardizePath } from './path-validator.js';
+import Router, { toSegments } from './router.js';
+import { SEGMENT_KINDS, parsePattern } from './path-pattern.js';
+import {
+  compareVersions,
+  getDefaultVersion,
+  normalizeVersion,
+} from './versioning.js';
+import {
+  TRAILING_SLASH,
+  getRouterConfig,
+  hasTrailingSlash,
+} from './router-config.js';
 
-class TargetRegistry {
+/**
+ * @param {{ getMethods?: () => string[]|null }} target
+ * @param {string} method - Uppercase HTTP method
+ * @returns {boolean} True when the target declares no methods or includes `method`
+ */
+const acceptsMethod = (target, method) => {
+  const methods = target.getMethods?.();
+  return !methods || methods.length === 0 || methods.includes(method);
+};
+
+/**
+ * @param {Array<{ getMethods?: () => string[]|null }>} targets
+ * @returns {string[]|null} Union of declared methods, or null if any target is method-agnostic
+ */
+const unionMethods = (targets) => {
+  const union = new Set();
+  for (const target of targets) {
+    const methods = target.getMethods?.();
+    if (!methods || methods.length === 0) return null;
+    methods.forEach((m) => union.add(m));
+  }
+  return [...union];
+};
+
+/**
+ * @param {Object} target - Endpoint or fallback
+ * @returns {boolean} True if it was registered from a source group (target file)
+ */
+const isGrouped = (target) => target.getGroup?.() != null;
+
+/**
+ * @param {string} path - Route pattern as registered (e.g. '/users/:id')
+ * @param {string|string[]} [methods] - Only endpoints accepting one of these methods
+ * @returns {(target: Object) => boolean} Predicate for endpoints registered at `path`
+ */
+const routeMatcher = (path, methods) => {
+  const pattern = standardizePath(path);
+  const wanted =
+    methods == null
+      ? null
+      : (Array.isArray(methods) ? methods : [methods]).map((m) =>
+          String(m).toUpperCase(),
+        );
+  return (target) =>
+    target.getPath() === pattern &&
+    (!wanted || wanted.some((m) => acceptsMethod(target, m)));
+};
+
+/**
+ * Orders candidates for a host: endpoints whose host pattern matches it come
+ * first, then endpoints served on any host. Endpoints bound to another host
+ * are dropped.
+ *
+ * @param {Array<{ getHost?: () => { match: Function }|null }>} targets
+ * @param {string} [hostname]
+ * @returns {Array<object>}
+ */
+const forHost = (targets, hostname) => {
+  const onHost = [];
+  const anyHost = [];
+  for (const target of targets) {
+    const host = target.getHost?.();
+    if (!host) anyHost.push(target);
+    else if (host.match(hostname) !== null) onHost.push(target);
+  }
+  return onHost.concat(anyHost);
+};
+
+/**
+ * Orders candidates for an API version: endpoints declaring that version come
+ * first, then endpoints serving every version. Endpoints declaring only other
+ * versions are dropped.
+ *
+ * @param {Array<{ getVersions?: () => string[]|null }>} targets
+ * @param {string|null} version
+ * @returns {Array<object>}
+ */
+const forVersion = (targets, version) => {
+  const exact = [];
+  const anyVersion = [];
+  for (const target of targets) {
+    const versions = target.getVersions?.();
+    if (!versions) anyVersion.push(target);
+    else if (versions.includes(version)) exact.push(target);
+  }
+  return exact.concat(anyVersion);
+};
+
+/**
+ * With `router.trailingSlash: 'strict'`, keeps the endpoints whose declared
+ * trailing slash agrees with the request path.
+ *
+ * @param {Array<{ hasTrailingSlash?: () => boolean }>} targets
+ * @param {boolean} trailingSlash - Whether the request path ends with a slash
+ * @returns {Array<object>}
+ */
+const forTrailingSlash = (targets, trailingSlash) =>
+  targets.filter((t) => (t.hasTrailingSlash?.() ?? false) === trailingSlash);
+
+/**
+ * What aim() needs to know about one candidate set to skip the host and
+ * version filters when they cannot change it.
+ *
+ * @param {object[]} targets - Candidates of one route pattern (see Router#find)
+ * @returns {{ hostBound: boolean, versioned: boolean, withSlash: object[], withoutSlash: object[] }}
+ */
+const partition = (targets) => ({
+  hostBound: targets.some((t) => t.getHost?.()),
+  versioned: targets.some((t) => t.getVersions?.()),
+  withSlash: forTrailingSlash(targets, true),
+  withoutSlash: forTrailingSlash(targets, false),
+});
+
+/**
+ * Matches a fallback's base path against the start of a request path.
+ *
+ * @param {string} pattern - Base path pattern (e.g. '/orgs/:orgId')
+ * @param {string[]} segments - Request path segments
+ * @param {boolean} caseSensitive - Whether static segments must match case exactly
+ * @returns {{ params: Object<string, string>, depth: number }|null}
+ *   `depth` is the number of pattern segments, used to prefer the most specific fallback
+ */
+const matchPrefix = (pattern, segments, caseSensitive) => {
+  let parsed;
+  try {
+    parsed = parsePattern(pattern);
+  } catch {
+    return null;
+  }
+  const params = Object.create(null);
+  for (let i = 0; i < parsed.length; i++) {
+    const segment = parsed[i];
+    const value = segments[i];
+    if (value === undefined) {
+      if (segment.optional) break;
+      return null;
+    }
+    switch (segment.kind) {
+      case SEGMENT_KINDS.STATIC:
+        if (
+          caseSensitive
+            ? segment.value !== value
+            : segment.value.toLowerCase() !== value.toLowerCase()
+        ) {
+          return null;
+        }
+        break;
+      case SEGMENT_KINDS.WILDCARD:
+        params[segment.name] = segments.slice(i).join('/');
+        return { params, depth: parsed.length };
+      case SEGMENT_KINDS.REGEX:
+        if (!segment.regex.test(value)) return null;
+        params[segment.name] = value;
+        break;
+      default:
+        params[segment.name] = value;
+    }
+  }
+  return { params, depth: parsed.length };
+};
+
+/**
+ * Registry of all endpoints.
+ *
+ * `targets` is copy-on-write: every change replaces the array instead of
+ * mutating it, so a lookup or iteration already in progress keeps a
+ * consistent view, and requests already routed to a removed endpoint finish
+ * normally.
+ *
+ * Emits `'change'` with `{ added, removed, updated }` (arrays of endpoints
+ * and fallbacks) after every change: endpoints or fallbacks registered or
+ * removed, or endpoints changed in place (see invalidate()). The compiled
+ * router, route names and version list are rebuilt on the next lookup after
+ * a change.
+ */
+class TargetRegistry extends EventEmitter {
   constructor() {
     if (TargetRegistry.instance) {
       return TargetRegistry.instance;
     }
 
+    super();
     TargetRegistry.instance = this;
 
-    // TODO - Add a default target
     this.targets = [];
+    /** @type {Object[]} Fallback endpoints of targets (see Target#fallback), copy-on-write like `targets`. */
+    this.fallbacks = [];
+    /** Handler for `GET /` when nothing matches: true = built-in page, false = none (404). */
+    this.defaultEntry = true;
     this.globalMiddlewares = [];
     /** Current source group (target file id) set by loader before importing a target file. */
     this._currentSourceGroup = null;
+    /** Compiled router and the targets snapshot it was built from. */
+    this._router = null;
+    this._routerSource = null;
+    this._routerSize = 0;
+    /** Router config (see router-config.js) read when the router was compiled. */
+    this._config = null;
+    /** @type {WeakMap<object[], ReturnType<typeof partition>>} Candidate set → partition, per compiled router. */
+    this._partitions = new WeakMap();
+    /** @type {Map<string, Object[]>} Route name → endpoints in registration order, compiled with the router. */
+    this._names = new Map();
+    /** @type {string[]} Declared API versions, ascending, compiled with the router. */
+    this._versions = [];
+    /** True while replace() runs its register callback; change events are held back. */
+    this._replacing = false;
+    /** While reloadGroups() runs: endpoints and fallbacks registered from source groups, not yet served. */
+    this._staged = null;
+
+    this.on('change', () => {
+      this._router = null;
+    });
   }
 
   setCurrentSourceGroup(group) {
@@ -32,96 +244,460 @@ class TargetRegistry {
     this.globalMiddlewares = this.globalMiddlewares.concat(validMiddlewares);
   }
 
+  /**
+   * Installs a new targets list and emits `'change'`.
+   *
+   * @private
+   * @param {Object[]} targets - The complete new list
+   * @param {Object[]} added
+   * @param {Object[]} removed
+   * @returns {void}
+   */
+  commit(targets, added, removed) {
+    this.targets = targets;
+    if (this._replacing) return;
+    this.emitChange({ added, removed });
+  }
+
+  /**
+   * Emits `'change'` unless nothing changed.
+   *
+   * @private
+   * @param {{ added?: Object[], removed?: Object[], updated?: Object[] }} change
+   * @returns {void}
+   */
+  emitChange({ added = [], removed = [], updated = [] }) {
+    if (added.length === 0 && removed.length === 0 && updated.length === 0) {
+      return;
+    }
+    this.emit('change', { added, removed, updated });
+  }
+
   /**
    * @param {Array || Object} targets
    */
   register(targets) {
-    if (Array.isArray(targets)) {
-      this.targets = this.targets.concat(targets);
-    } else {
-      this.targets.push(targets);
+    let added = Array.isArray(targets) ? targets : [targets];
+    if (this._staged) {
+      this._staged.targets.push(...added.filter(isGrouped));
+      added = added.filter((t) => !isGrouped(t));
+      if (added.length === 0) return;
     }
+    this.commit(this.targets.concat(added), added, []);
   }
 
   /**
-   * Matches an endpoint URL to a registered target, supporting parameterized routes.
+   * Endpoints a new registration competes with (e.g. for its route name):
+   * the registered ones or, while reloadGroups() runs, the ones it keeps
+   * plus the ones registered so far.
    *
-   * @param {string} endpoint - The endpoint URL to match
-   * @returns {Object|null} An object with `target` and `params`, or null if no match
+   * @returns {Object[]}
    */
-  aim(endpoint) {
-    const standardizedEndpoint = standardizePath(endpoint);
-
-    // First, try exact match (most specific)
-    const exactMatch = this.targets.find((target) => {
-      return target.getPath() === standardizedEndpoint;
-    });
+  getRegistering() {
+    if (!this._staged) return this.targets;
+    return this.targets
+      .filter((t) => !isGrouped(t))
+      .concat(this._staged.targets);
+  }
 
-    if (exactMatch) {
-      return { target: exactMatch, params: Object.create(null) };
+  /**
+   * Removes the endpoints registered at a route pattern. The pattern is
+   * compared as registered (`/users/:id` does not remove `/users/:userId`).
+   *
+   * With `methods`, only endpoints accepting one of them are removed; an
+   * endpoint is removed whole, with all the methods it serves.
+   *
+   * @param {string} path - Route pattern (e.g. '/users/:id')
+   * @param {string|string[]} [methods] - e.g. 'POST' or ['PUT', 'PATCH']
+   * @returns {Object[]} The removed endpoints
+   * @example
+   * targetRegistry.unregister('/beta/search');
+   * targetRegistry.unregister('/users/:id', ['DELETE']);
+   */
+  unregister(path, methods) {
+    const matches = routeMatcher(path, methods);
+    const removed = this.targets.filter(matches);
+    if (removed.length > 0) {
+      this.commit(
+        this.targets.filter((t) => !matches(t)),
+        [],
+        removed,
+      );
     }
+    return removed;
+  }
 
-    // Then, try parameterized route matching
-    for (const target of this.targets) {
-      const targetPath = target.getPath();
-      const params = this.matchParameterizedRoute(
-        targetPath,
-        standardizedEndpoint,
+  /**
+   * Replaces the endpoints at a route pattern with the ones registered by
+   * `register`, in a single change: no request sees both or neither. The new
+   * endpoints take the position of the first removed one, so they keep its
+   * precedence among identical routes.
+   *
+   * `register` runs synchronously and usually registers through a Target.
+   * If it throws, the registry is left unchanged.
+   *
+   * @param {string} path - Route pattern to replace (e.g. '/search')
+   * @param {string|string[]} [methods] - Only replace endpoints accepting one of these methods
+   * @param {() => void} register - Registers the replacement endpoints
+   * @returns {Object[]} The removed endpoints
+   * @throws {TypeError} If `register` is not a function
+   * @example
+   * targetRegistry.replace('/search', 'GET', () => {
+   *   search.get('/', searchV2);
+   * });
+   */
+  replace(path, ...args) {
+    const register = args.pop();
+    if (typeof register !== 'function') {
+      throw new TypeError(
+        'replace(path, [methods], register) requires a function',
       );
+    }
+    const matches = routeMatcher(path, args[0]);
+    const before = this.targets;
+    const removed = before.filter(matches);
 
-      if (params !== null) {
-        return { target, params };
+    // Removed endpoints are hidden while register runs (e.g. so reusing a
+    // route name does not warn), but nothing is emitted until the end.
+    this._replacing = true;
+    let added;
+    try {
+      this.targets = before.filter((t) => !matches(t));
+      const beforeSet = new Set(before);
+      register();
+      added = this.targets.filter((t) => !beforeSet.has(t));
+    } catch (err) {
+      this.targets = before;
+      throw err;
+    } finally {
+      this._replacing = false;
+    }
+
+    const next = [];
+    let inserted = false;
+    for (const target of before) {
+      if (!matches(target)) {
+        next.push(target);
+      } else if (!inserted) {
+        next.push(...added);
+        inserted = true;
       }
     }
+    if (!inserted) next.push(...added);
 
-    return null;
+    this.commit(next, added, removed);
+    return removed;
+  }
+
+  /**
+   * @param {string} group - Source group (target file id, e.g. 'api/users')
+   * @returns {Object[]} Endpoints and fallbacks registered from that group, in registration order
+   */
+  getGroup(group) {
+    return this.targets
+      .concat(this.fallbacks)
+      .filter((t) => t.getGroup?.() === group);
   }
 
   /**
-   * Matches a parameterized route pattern against an actual URL.
+   * Removes the endpoints registered from a source group, e.g. when its
+   * target file is reloaded or deleted.
    *
-   * @param {string} pattern - The route pattern (e.g., '/api/categories/:id')
-   * @param {string} url - The actual URL to match (e.g., '/api/categories/123')
-   * @returns {Object|null} An object with extracted parameters, or null if no match
+   * @param {string} group - Source group (target file id)
+   * @param {Object} [options]
+   * @param {Set<Object>} [options.keep] - Endpoints of the group to keep
+   * @returns {Object[]} The removed endpoints
    */
-  matchParameterizedRoute(pattern, url) {
-    // Handle root path case
-    if (pattern === '/' && url === '/') {
-      return {};
+  removeGroup(group, { keep } = {}) {
+    const drop = (t) => t.getGroup?.() === group && !keep?.has(t);
+    const removed = this.targets
+      .filter(drop)
+      .concat(this.fallbacks.filter(drop));
+    if (removed.length > 0) {
+      this.targets = this.targets.filter((t) => !drop(t));
+      this.fallbacks = this.fallbacks.filter((t) => !drop(t));
+      this.emitChange({ removed });
     }
+    return removed;
+  }
 
-    // Split both pattern and URL into segments
-    const patternSegments = pattern.split('/').filter((s) => s.length > 0);
-    const urlSegments = url.split('/').filter((s) => s.length > 0);
+  /**
+   * Re-registers the endpoints and fallbacks of all source groups (target
+   * files), in a single change. Those registered from a source group while
+   * `load` runs are held back, and requests keep being served by the
+   * previous ones; once `load` resolves, the new ones replace all the
+   * previous ones at once. If `load` rejects, the registry is left unchanged.
+   *
+   * @param {() => Promise<void>} load - Imports the target files
+   * @returns {Promise<{ added: Object[], removed: Object[] }>}
+   * @throws {Error} If a reload is already running
+   */
+  async reloadGroups(load) {
+    if (this._staged) throw new Error('reloadGroups() is already running');
+    const staged = { targets: [], fallbacks: [] };
+    this._staged = staged;
+    try {
+      await load();
+    } finally {
+      this._staged = null;
+    }
 
-    // If both are empty (root paths), they match
-    if (patternSegments.length === 0 && urlSegments.length === 0) {
-      return {};
+    const removed = this.targets
+      .filter(isGrouped)
+      .concat(this.fallbacks.filter(isGrouped));
+    const added = staged.targets.concat(staged.fallbacks);
+    this.targets = this.targets
+      .filter((t) => !isGrouped(t))
+      .concat(staged.targets);
+    this.fallbacks = this.fallbacks
+      .filter((t) => !isGrouped(t))
+      .concat(staged.fallbacks);
+    this.emitChange({ added, removed });
+    return { added, removed };
+  }
+
+  /**
+   * Adds a fallback endpoint, replacing `previous` if given.
+   *
+   * @param {Object} endpoint - Endpoint whose path is the base it handles
+   * @param {Object} [previous] - Fallback to replace
+   * @returns {void}
+   */
+  setFallback(endpoint, previous) {
+    if (this._staged && isGrouped(endpoint)) {
+      this._staged.fallbacks = this._staged.fallbacks
+        .filter((f) => f !== previous)
+        .concat(endpoint);
+      return;
     }
+    this.fallbacks = this.fallbacks
+      .filter((f) => f !== previous)
+      .concat(endpoint);
+    this.emitChange({
+      added: [endpoint],
+      removed: previous ? [previous] : [],
+    });
+  }
 
-    // Must have same number of segments
-    if (patternSegments.length !== urlSegments.length) {
-      return null;
+  /**
+   * Finds the fallback for a URL no route matched: the one whose base path
+   * matches the most leading segments. On a tie, host-bound fallbacks win
+   * over host-agnostic ones, then the first registered.
+   *
+   * @param {string} url - Request path without query string
+   * @param {string} [hostname]
+   * @returns {{ target: Object, params: Object<string, string> }|null}
+   */
+  findFallback(url, hostname) {
+    const { caseSensitive } = this.getRouterConfig();
+    const segments = toSegments(url);
+    let best = null;
+    for (const fallback of forHost(this.fallbacks, hostname)) {
+      const match = matchPrefix(fallback.getPath(), segments, caseSensitive);
+      if (match && (!best || match.depth > best.depth)) {
+        best = { ...match, target: fallback };
+      }
     }
+    if (!best) return null;
 
-    const params = Object.create(null);
+    const hostParams = best.target.getHost?.()?.match(hostname);
+    return {
+      target: best.target,
+      params: hostParams
+        ? Object.assign(Object.create(null), hostParams, best.params)
+        : best.params,
+    };
+  }
 
-    // Match each segment
-    for (let i = 0; i < patternSegments.length; i++) {
-      const patternSegment = patternSegments[i];
-      const urlSegment = urlSegments[i];
+  /**
+   * Replaces or disables the page served for `GET /` when no route or
+   * fallback matches.
+   *
+   * @param {Function|boolean} handler - Handler taking ammo, true for the
+   *   built-in page, or false to answer 404
+   * @returns {void}
+   */
+  setDefaultEntry(handler) {
+    this.defaultEntry = handler;
+  }
 
-      // If it's a parameter (starts with :)
-      if (patternSegment.startsWith(':')) {
-        const paramName = patternSegment.slice(1); // Remove the ':'
-        params[paramName] = urlSegment;
-      } else if (patternSegment !== urlSegment) {
-        // If it's not a parameter and doesn't match, no match
-        return null;
+  /**
+   * Returns the compiled router for the current targets, rebuilding it after
+   * a `'change'` or invalidate(), or when `targets` has been assigned or
+   * pushed to directly (bypassing register()), since the last compile.
+   *
+   * The router config is read once per compile, so changing
+   * `router.trailingSlash` or `router.caseSensitive` at runtime takes effect
+   * after invalidate().
+   *
+   * @returns {Router}
+   */
+  getRouter() {
+    if (
+      !this._router ||
+      this._routerSource !== this.targets ||
+      this._routerSize !== this.targets.length
+    ) {
+      this._config = getRouterConfig();
+      this._router = new Router(this.targets, {
+        caseSensitive: this._config.caseSensitive,
+      });
+      this._routerSource = this.targets;
+      this._routerSize = this.targets.length;
+      this._partitions = new WeakMap();
+      this._names = new Map();
+      const versions = new Set();
+      for (const target of this.targets) {
+        const name = target.getMetadata?.()?.name;
+        if (name != null) {
+          if (!this._names.has(name)) this._names.set(name, []);
+          this._names.get(name).push(target);
+        }
+        target.getVersions?.()?.forEach((v) => versions.add(v));
       }
+      this._versions = [...versions].sort(compareVersions);
     }
+    return this._router;
+  }
 
-    return params;
+  /**
+   * @returns {{ trailingSlash: string, caseSensitive: boolean }} The router
+   *   config the current router was compiled with (see getRouter())
+   */
+  getRouterConfig() {
+    this.getRouter();
+    return this._config;
+  }
+
+  /**
+   * Looks up an endpoint by the `name` in its metadata. When several
+   * endpoints share a name, the first registered one is returned; with
+   * `version`, the first one declaring that version, else the first one
+   * serving every version.
+   *
+   * @param {string} name - Route name (e.g. 'user.show')
+   * @param {{ version?: string|number }} [options]
+   * @returns {Object|null} The endpoint, or null if no route has that name
+   *   (for that version)
+   */
+  getByName(name, { version } = {}) {
+    this.getRouter();
+    const named = this._names.get(name);
+    if (!named) return null;
+    if (version == null) return named[0];
+    const wanted = normalizeVersion(version);
+    return (
+      named.find((t) => t.getVersions?.()?.includes(wanted)) ??
+      named.find((t) => !t.getVersions?.()) ??
+      null
+    );
+  }
+
+  /**
+   * @returns {string[]} API versions declared by registered endpoints, ascending
+   */
+  getVersions() {
+    this.getRouter();
+    return this._versions;
+  }
+
+  /**
+   * Reports endpoints changed in place (e.g. re-pathed by Target#mount)
+   * rather than added to or removed from `targets`: emits `'change'` with
+   * them as `updated`, which also marks the compiled router as stale.
+   *
+   * @param {Object[]} [updated] - The changed endpoints and fallbacks
+   * @returns {void}
+   */
+  invalidate(updated = []) {
+    this._router = null;
+    this.emitChange({ updated });
+  }
+
+  /**
+   * Matches an endpoint URL to a registered target, supporting parameterized routes.
+   * Exact matches win over parameterized ones; overlapping patterns resolve by
+   * specificity (static > regex param > param > wildcard, segment by segment).
+   *
+   * Endpoints of host-bound targets only match when `hostname` matches their
+   * host pattern, and win over endpoints served on any host. Likewise,
+   * versioned endpoints only match their versions and win over unversioned
+   * ones; without `version` the default version applies (see versioning.js).
+   *
+   * A trailing slash on `endpoint` is ignored, except with
+   * `router.trailingSlash: 'strict'` (see router-config.js).
+   *
+   * When `method` is given, only endpoints that accept it are considered (an
+   * endpoint without declared methods accepts all). If a path matches but no
+   * endpoint accepts the method, the first endpoint at the most specific
+   * matching pattern is returned so the caller can answer 405.
+   *
+   * @param {string} endpoint - The endpoint URL to match
+   * @param {string} [method] - HTTP method of the request
+   * @param {Object} [request]
+   * @param {string} [request.hostname] - Request host (a port is ignored)
+   * @param {string|null} [request.version] - Requested API version
+   * @returns {{ target: Object, params: Object, allowedMethods: string[]|null, version: string|null, path: string }|null}
+   *   `params` holds host params followed by path params (path params win on a name clash).
+   *   `path` is the canonical request path (see Router#find), with a trailing
+   *   slash only when strict mode matched a route declaring one.
+   *   `allowedMethods` is the union of methods registered for the matched pattern,
+   *   or null when one of its endpoints is method-agnostic.
+   */
+  aim(endpoint, method, { hostname, version } = {}) {
+    const path = standardizePath(endpoint);
+    const router = this.getRouter();
+    const wanted = method ? String(method).toUpperCase() : null;
+    const apiVersion =
+      version !== undefined ? version : getDefaultVersion(this._versions);
+    const strictSlash = this._config.trailingSlash === TRAILING_SLASH.STRICT;
+    const slash = hasTrailingSlash(endpoint ?? '');
+    const eligible = (candidates) => {
+      let parts = this._partitions.get(candidates);
+      if (!parts) {
+        parts = partition(candidates);
+        this._partitions.set(candidates, parts);
+      }
+      if (!parts.hostBound && !parts.versioned) {
+        if (!strictSlash) return candidates;
+        return slash ? parts.withSlash : parts.withoutSlash;
+      }
+      let served = candidates;
+      if (parts.hostBound) served = forHost(served, hostname);
+      if (parts.versioned) served = forVersion(served, apiVersion);
+      return strictSlash ? forTrailingSlash(served, slash) : served;
+    };
+
+    const match =
+      (wanted &&
+        router.find(path, (candidates) =>
+          eligible(candidates).find((t) => acceptsMethod(t, wanted)),
+        )) ||
+      router.find(path, (candidates) => eligible(candidates)[0]);
+    if (!match) return null;
+
+    const hostParams = match.target.getHost?.()?.match(hostname);
+    return {
+      target: match.target,
+      params: hostParams
+        ? Object.assign(Object.create(null), hostParams, match.params)
+        : match.params,
+      allowedMethods: unionMethods(eligible(match.candidates)),
+      version: apiVersion,
+      path: strictSlash && slash ? `${match.path}/` : match.path,
+    };
+  }
+
+  /**
+   * Matches a single route pattern against an actual URL.
+   *
+   * @param {string} pattern - The route pattern (e.g., '/api/categories/:id', '/files/*path')
+   * @param {string} url - The actual URL to match (e.g., '/api/categories/123')
+   * @returns {Object|null} An object with extracted parameters, or null if no match
+   */
+  matchParameterizedRoute(pattern, url) {
+    const match = new Router([{ getPath: () => pattern }]).find(url);
+    return match ? match.params : null;
   }
 
   /**
@@ -129,7 +705,7 @@ class TargetRegistry {
    *
    * @param {boolean|{ detailed?: boolean, grouped?: boolean }} [options] - If boolean, treated as grouped (backward compat).
    *   If object: detailed=true returns full metadata per endpoint; grouped=true returns paths grouped by first segment.
-   * @returns {string[]|Object|Array<{ path: string, metadata: object|null, handler: function }>}
+   * @returns {string[]|Object|Array<{ path: string, methods: string[]|null, metadata: object|null, handler: function }>}
    */
   getAllEndpoints(options = {}) {
     const grouped =
@@ -140,19 +716,23 @@ class TargetRegistry {
     if (detailed) {
       return this.targets.map((t) => ({
         path: t.getPath(),
+        methods: t.getMethods?.() ?? null,
         metadata: t.getMetadata(),
         handler: t.getHandler(),
       }));
     }
+
+    // Per-method endpoints share a path; list each path once.
+    const paths = [...new Set(this.targets.map((target) => target.getPath()))];
     if (grouped) {
-      return this.targets.reduce((acc, target) => {
-        const group = target.getPath().split('/')[1];
+      return paths.reduce((acc, path) => {
+        const group = path.split('/')[1];
         if (!acc[group]) acc[group] = [];
-        acc[group].push(target.getPath());
+        acc[group].push(path);
         return acc;
       }, Object.create(null));
     }
-    return this.targets.map((target) => target.getPath());
+    return paths;
   }
 }
 
@@ -106,3 +106,222 @@ describe('TargetRegistry.getAllEndpoints', () => {
     expect(Object.getPrototypeOf(grouped)).toBeNull();
   });
 });
+
+describe('TargetRegistry.removeGroup', () => {
+  const endpoint = (path, group) => ({
+    getPath: () => path,
+    getMethods: () => null,
+    getGroup: () => group,
+  });
+
+  it('should remove only the endpoints of the group', () => {
+    const users = endpoint('/users', 'users');
+    const health = endpoint('/health', 'health');
+    registry.targets = [users, health];
+    expect(registry.getGroup('users')).toEqual([users]);
+    expect(registry.removeGroup('users')).toEqual([users]);
+    expect(registry.targets).toEqual([health]);
+    expect(registry.aim('/users')).toBeNull();
+  });
+
+  it('should keep the given endpoints of the group', () => {
+    const before = endpoint('/users', 'users');
+    const after = endpoint('/users', 'users');
+    registry.targets = [before, after];
+    registry.removeGroup('users', { keep: new Set([after]) });
+    expect(registry.targets).toEqual([after]);
+    expect(registry.aim('/users').target).toBe(after);
+  });
+});
+
+describe('TargetRegistry.reloadGroups', () => {
+  const endpoint = (path, group = null) => ({
+    getPath: () => path,
+    getMethods: () => null,
+    getGroup: () => group,
+  });
+
+  it('should swap all grouped endpoints in a single change', async () => {
+    const users = endpoint('/users', 'users');
+    const posts = endpoint('/posts', 'posts');
+    const health = endpoint('/health');
+    const next = endpoint('/api/users', 'api');
+    const fallback = endpoint('/api', 'api');
+    registry.targets = [users, health, posts];
+    registry.fallbacks = [];
+    const events = [];
+    const onChange = (event) => events.push(event);
+    registry.on('change', onChange);
+
+    try {
+      const result = await registry.reloadGroups(async () => {
+        registry.register(next);
+        registry.setFallback(fallback);
+        await Promise.resolve();
+        // Still served by the previous endpoints.
+        expect(registry.aim('/users').target).toBe(users);
+        expect(registry.aim('/api/users')).toBeNull();
+        expect(registry.getRegistering()).toEqual([health, next]);
+      });
+
+      expect(result).toEqual({
+        added: [next, fallback],
+        removed: [users, posts],
+      });
+      expect(registry.targets).toEqual([health, next]);
+      expect(registry.fallbacks).toEqual([fallback]);
+      expect(events).toEqual([
+        { added: [next, fallback], removed: [users, posts], updated: [] },
+      ]);
+    } finally {
+      registry.off('change', onChange);
+    }
+  });
+
+  it('should register endpoints without a group right away', async () => {
+    const health = endpoint('/health');
+    await registry.reloadGroups(async () => {
+      registry.register(health);
+      expect(registry.targets).toEqual([health]);
+    });
+    expect(registry.targets).toEqual([health]);
+  });
+
+  it('should leave the registry unchanged when loading fails', async () => {
+    const users = endpoint('/users', 'users');
+    registry.targets = [users];
+
+    await expect(
+      registry.reloadGroups(async () => {
+        registry.register(endpoint('/users/all', 'users'));
+        throw new Error('boom');
+      }),
+    ).rejects.toThrow('boom');
+    expect(registry.targets).toEqual([users]);
+    expect(registry.getRegistering()).toEqual([users]);
+  });
+});
+
+describe('TargetRegistry runtime changes', () => {
+  const endpoint = (path, methods = null) => ({
+    getPath: () => path,
+    getMethods: () => methods,
+  });
+  let events;
+  const onChange = (event) => events.push(event);
+
+  beforeEach(() => {
+    events = [];
+    registry.on('change', onChange);
+    return () => registry.off('change', onChange);
+  });
+
+  it('should replace the targets array instead of mutating it', () => {
+    const snapshot = registry.targets;
+    const health = endpoint('/health');
+    registry.register(health);
+    expect(snapshot).toEqual([]);
+    expect(registry.targets).toEqual([health]);
+    expect(events).toEqual([{ added: [health], removed: [], updated: [] }]);
+  });
+
+  it('should unregister every endpoint at a path', () => {
+    const get = endpoint('/users/:id', ['GET', 'HEAD']);
+    const del = endpoint('/users/:id', ['DELETE']);
+    const other = endpoint('/users/:userId/posts');
+    registry.register([get, del, other]);
+    const snapshot = registry.targets;
+
+    expect(registry.unregister('users/:id/')).toEqual([get, del]);
+    expect(registry.targets).toEqual([other]);
+    expect(snapshot).toHaveLength(3);
+    expect(registry.aim('/users/1')).toBeNull();
+    expect(events[1]).toEqual({ added: [], removed: [get, del], updated: [] });
+  });
+
+  it('should unregister only endpoints accepting the given methods', () => {
+    const get = endpoint('/users/:id', ['GET', 'HEAD']);
+    const del = endpoint('/users/:id', ['DELETE']);
+    registry.register([get, del]);
+
+    expect(registry.unregister('/users/:id', 'delete')).toEqual([del]);
+    expect(registry.aim('/users/1', 'DELETE').allowedMethods).toEqual([
+      'GET',
+      'HEAD',
+    ]);
+    expect(registry.unregister('/users/:id', ['POST'])).toEqual([]);
+    expect(events).toHaveLength(2);
+  });
+
+  it('should replace endpoints in place with a single change event', () => {
+    const first = endpoint('/search', ['GET']);
+    const other = endpoint('/health');
+    const next = endpoint('/search', ['GET']);
+    registry.register([first, other]);
+    events = [];
+
+    const removed = registry.replace('/search', 'GET', () => {
+      expect(registry.targets).toEqual([other]);
+      registry.register(next);
+    });
+
+    expect(removed).toEqual([first]);
+    expect(registry.targets).toEqual([next, other]);
+    expect(registry.aim('/search', 'GET').target).toBe(next);
+    expect(events).toEqual([{ added: [next], removed: [first], updated: [] }]);
+  });
+
+  it('should leave the registry unchanged when the callback throws', () => {
+    const first = endpoint('/search');
+    registry.register(first);
+    events = [];
+
+    expect(() =>
+      registry.replace('/search', () => {
+        registry.register(endpoint('/search'));
+        throw new Error('boom');
+      }),
+    ).toThrow('boom');
+    expect(registry.targets).toEqual([first]);
+    expect(events).toEqual([]);
+  });
+
+  it('should emit when a source group is removed', () => {
+    const users = { ...endpoint('/users'), getGroup: () => 'users' };
+    const fallback = { ...endpoint('/users'), getGroup: () => 'users' };
+    registry.register(users);
+    registry.setFallback(fallback);
+    events = [];
+
+    registry.removeGroup('users');
+    expect(registry.fallbacks).toEqual([]);
+    expect(events).toEqual([
+      { added: [], removed: [users, fallback], updated: [] },
+    ]);
+  });
+
+  it('should emit when fallbacks are set or replaced', () => {
+    const first = endpoint('/app');
+    const second = endpoint('/app');
+    registry.setFallback(first);
+    registry.setFallback(second, first);
+    expect(events).toEqual([
+      { added: [first], removed: [], updated: [] },
+      { added: [second], removed: [first], updated: [] },
+    ]);
+    registry.fallbacks = [];
+  });
+
+  it('should emit updated endpoints and recompile on invalidate()', () => {
+    let path = '/old';
+    const moving = { getPath: () => path, getMethods: () => null };
+    registry.register(moving);
+    expect(registry.aim('/old').target).toBe(moving);
+
+    path = '/new';
+    registry.invalidate([moving]);
+    expect(events[1]).toEqual({ added: [], removed: [], updated: [moving] });
+    expect(registry.aim('/old')).toBeNull();
+    expect(registry.aim('/new').target).toBe(moving);
+  });
+});
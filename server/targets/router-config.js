@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Router matching policy from configuration.
+ *
+ * | Config key             | Env variable            | Values                                  |
+ * | ---------------------- | ----------------------- | --------------------------------------- |
+ * | `router.trailingSlash` | `ROUTER_TRAILINGSLASH`  | `strip` (default), `redirect`, `strict` |
+ * | `router.caseSensitive` | `ROUTER_CASESENSITIVE`  | `true` (default), `false`               |
+ *
+ * - strip: `/users/` is served by the `/users` route.
+ * - redirect: `/users/` is redirected to `/users` (see handler.js).
+ * - strict: `/users/` is only served by a route registered with a trailing
+ *   slash (`target.get('/users/', ...)`), and `/users` only by one without.
+ */
+
+import { env } from 'tej-env';
+
+const TRAILING_SLASH = Object.freeze({
+  STRIP: 'strip',
+  REDIRECT: 'redirect',
+  STRICT: 'strict',
+});
+
+/**
+ * @returns {{ trailingSlash: string, caseSensitive: boolean }}
+ */
+const getRouterConfig = () => {
+  const trailingSlash = String(env('ROUTER_TRAILINGSLASH') ?? '')
+    .trim()
+    .toLowerCase();
+  const caseSensitive = env('ROUTER_CASESENSITIVE');
+  return {
+    trailingSlash: Object.values(TRAILING_SLASH).includes(trailingSlash)
+      ? trailingSlash
+      : TRAILING_SLASH.STRIP,
+    caseSensitive: !(caseSensitive === false || caseSensitive === 'false'),
+  };
+};
+
+/**
+ * @param {string} path - Request path without query string
+ * @returns {boolean} True when the path ends with a slash (the root path does not count)
+ */
+const hasTrailingSlash = (path) => path.length > 1 && path.endsWith('/');
+
+export { TRAILING_SLASH, getRouterConfig, hasTrailingSlash };
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Tests for the trailing-slash and case-sensitivity policy.
+ */
+import { describe, it, expect, beforeEach, afterEach, afterAll } from 'vitest';
+import { setEnv } from 'tej-env';
+import registry from './registry.js';
+import Router from './router.js';
+import Target from '../target.js';
+import { findRouteConflicts } from './conflicts.js';
+import { startTestServer } from '../../tests/helpers/test-utils.js';
+
+const noop = (ammo) => ammo.fire('ok');
+const route = (path) => ({ getPath: () => path });
+
+const setPolicy = ({ trailingSlash = '', caseSensitive = '' } = {}) => {
+  setEnv('ROUTER_TRAILINGSLASH', trailingSlash);
+  setEnv('ROUTER_CASESENSITIVE', caseSensitive);
+  registry.invalidate();
+};
+
+afterAll(() => setPolicy());
+
+describe('Router canonical paths', () => {
+  it('should report the canonical path of a match', () => {
+    const router = new Router([
+      route('/users/:id/posts'),
+      route('/files/*path'),
+    ]);
+    expect(router.find('/users//7/posts/').path).toBe('/users/7/posts');
+    expect(router.find('/files/a/b.txt').path).toBe('/files/a/b.txt');
+  });
+
+  it('should match static segments regardless of case when configured', () => {
+    const routes = [route('/Users/:id'), route('/health')];
+    expect(new Router(routes).find('/users/Ann')).toBeNull();
+
+    const router = new Router(routes, { caseSensitive: false });
+    const match = router.find('/USERS/Ann');
+    expect(match.params.id).toBe('Ann');
+    expect(match.path).toBe('/Users/Ann');
+    expect(router.find('/HEALTH').path).toBe('/health');
+  });
+});
+
+describe('Trailing-slash policy', () => {
+  let users;
+  let usersSlash;
+
+  beforeEach(() => {
+    registry.targets = [];
+    const api = new Target('/api');
+    api.get('/users', noop);
+    api.get('/users/', noop);
+    [users, usersSlash] = registry.targets;
+  });
+
+  afterEach(() => setPolicy());
+
+  it('should ignore the trailing slash by default', () => {
+    expect(registry.aim('/api/users/', 'GET').target).toBe(users);
+    expect(findRouteConflicts(registry.targets)).toHaveLength(1);
+  });
+
+  it('should match the trailing slash exactly in strict mode', () => {
+    setPolicy({ trailingSlash: 'strict' });
+    expect(usersSlash.hasTrailingSlash()).toBe(true);
+    expect(registry.aim('/api/users', 'GET').target).toBe(users);
+    const match = registry.aim('/api/users/', 'GET');
+    expect(match.target).toBe(usersSlash);
+    expect(match.path).toBe('/api/users/');
+    expect(findRouteConflicts(registry.targets)).toEqual([]);
+  });
+
+  it('should report routes differing only in case when case-insensitive', () => {
+    new Target('/API').get('/users', noop);
+    expect(findRouteConflicts(registry.targets)).toHaveLength(1);
+    setPolicy({ caseSensitive: 'false' });
+    expect(findRouteConflicts(registry.targets)).toHaveLength(3);
+  });
+});
+
+describe('Canonical redirects', () => {
+  let stop;
+  let base;
+
+  const request = (path, method = 'GET') =>
+    fetch(`${base}${path}`, { method, redirect: 'manual' });
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+    const users = new Target('/users');
+    users.get('/:id', noop);
+    users.post('/', noop);
+  });
+
+  afterEach(async () => {
+    setPolicy();
+    await stop();
+  });
+
+  it('should serve non-canonical URLs in strip mode', async () => {
+    expect((await request('/users/7/')).status).toBe(200);
+  });
+
+  it('should redirect to the canonical URL, keeping the query string', async () => {
+    setPolicy({ trailingSlash: 'redirect' });
+    const res = await request('/users/7/?tab=posts');
+    expect(res.status).toBe(301);
+    expect(res.headers.get('location')).toBe('/users/7?tab=posts');
+    expect((await request('/users/7')).status).toBe(200);
+  });
+
+  it('should use 308 for methods other than GET and HEAD', async () => {
+    setPolicy({ trailingSlash: 'redirect' });
+    const res = await request('/users/', 'POST');
+    expect(res.status).toBe(308);
+    expect(res.headers.get('location')).toBe('/users');
+  });
+
+  it('should redirect to the registered case when case-insensitive', async () => {
+    setPolicy({ trailingSlash: 'redirect', caseSensitive: 'false' });
+    const res = await request('/Users/7/');
+    expect(res.status).toBe(301);
+    expect(res.headers.get('location')).toBe('/users/7');
+  });
+
+  it('should not redirect unmatched URLs', async () => {
+    setPolicy({ trailingSlash: 'redirect' });
+    expect((await request('/missing/')).status).toBe(404);
+  });
+});
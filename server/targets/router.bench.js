@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Benchmark: compiled router vs. the original linear scan, and
+ * the full registry lookup (host, version and method selection) on top of it.
+ * Run with `npm run bench`.
+ */
+import { bench, describe } from 'vitest';
+import Router from './router.js';
+import registry from './registry.js';
+
+const RESOURCE_COUNT = 100;
+
+const targets = [];
+for (let i = 0; i < RESOURCE_COUNT; i++) {
+  for (const path of [
+    `/api/r${i}`,
+    `/api/r${i}/:id`,
+    `/api/r${i}/:id/items/:itemId`,
+  ]) {
+    targets.push({ getPath: () => path });
+  }
+}
+
+const urls = [
+  '/api/r0',
+  `/api/r${RESOURCE_COUNT - 1}/42`,
+  `/api/r${RESOURCE_COUNT >> 1}/7/items/9`,
+  '/api/missing/route',
+];
+
+/** The per-pattern matcher TargetRegistry used before the router (`:name` only). */
+const linearMatch = (pattern, url) => {
+  const patternSegments = pattern.split('/').filter((s) => s.length > 0);
+  const urlSegments = url.split('/').filter((s) => s.length > 0);
+  if (patternSegments.length !== urlSegments.length) return null;
+
+  const params = Object.create(null);
+  for (let i = 0; i < patternSegments.length; i++) {
+    if (patternSegments[i].startsWith(':')) {
+      params[patternSegments[i].slice(1)] = urlSegments[i];
+    } else if (patternSegments[i] !== urlSegments[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/** The matching strategy used by TargetRegistry.aim() before the router. */
+const linearAim = (url) => {
+  const exact = targets.find((t) => t.getPath() === url);
+  if (exact) return { target: exact, params: Object.create(null) };
+  for (const target of targets) {
+    const params = linearMatch(target.getPath(), url);
+    if (params !== null) return { target, params };
+  }
+  return null;
+};
+
+const router = new Router(targets);
+registry.targets = targets;
+
+describe(`aim() with ${targets.length} endpoints`, () => {
+  bench('linear scan', () => {
+    for (const url of urls) linearAim(url);
+  });
+
+  bench('compiled router', () => {
+    for (const url of urls) router.find(url);
+  });
+
+  bench('registry.aim()', () => {
+    for (const url of urls) registry.aim(url, 'GET', { version: null });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Compiled segment trie (radix tree over path segments) used by
+ * TargetRegistry.aim() to resolve a request path to a registered endpoint.
+ *
+ * The tree is built once from the registry's targets and reused for every
+ * request until the target list changes. Matching rules:
+ * - Fully static paths are looked up in a Map first, so exact matches always
+ *   beat parameterised ones.
+ * - Otherwise segments are matched left to right, trying the most specific
+ *   kind first: static > regex param > plain param > wildcard (see
+ *   path-pattern.js). The first complete match wins; for identical patterns
+ *   the one registered first wins.
+ * - Empty segments are ignored (`/a//b` matches `/a/b`).
+ * - With `caseSensitive: false`, static segments match regardless of case.
+ *
+ * Several targets may share one pattern (e.g. separate GET and POST
+ * endpoints). find() accepts a `select` callback that picks one of them;
+ * when it picks none, matching continues with less specific routes.
+ */
+
+import TejLogger from 'tej-logger';
+import {
+  SEGMENT_KINDS,
+  parsePattern,
+  expandOptional,
+  isStaticPattern,
+} from './path-pattern.js';
+
+const logger = new TejLogger('Router');
+
+/**
+ * Routes sharing one pattern. `targets` mirrors `routes` so find() can hand
+ * the same candidates array to every lookup, and callers can cache per
+ * candidate set (see TargetRegistry#aim).
+ *
+ * @typedef {{ routes: Array<{ target: object, paramNames: string[] }>, targets: object[] }} RouteList
+ */
+
+/** @returns {RouteList} */
+const createRouteList = () => ({ routes: [], targets: [] });
+
+/**
+ * @param {RouteList} list
+ * @param {object} target
+ * @param {string[]} paramNames
+ */
+const addRoute = (list, target, paramNames) => {
+  list.routes.push({ target, paramNames });
+  list.targets.push(target);
+};
+
+/**
+ * A single node in the segment trie.
+ * @private
+ */
+class RouteNode {
+  /**
+   * @param {string} [value] - Static segment as registered (first registration wins)
+   */
+  constructor(value) {
+    /** Static segment leading to this node, used to build canonical paths. */
+    this.value = value;
+    /** @type {Map<string, RouteNode>} Static children keyed by segment. */
+    this.children = new Map();
+    /** @type {Array<{ source: string, regex: RegExp, node: RouteNode }>} Regex-constrained param children, in registration order. */
+    this.regexChildren = [];
+    /** @type {RouteNode|null} Child matching any single segment (`:name`). */
+    this.paramChild = null;
+    /** @type {RouteList} Routes ending here. */
+    this.routes = createRouteList();
+    /** @type {RouteList} Routes whose wildcard starts here. */
+    this.wildcardRoutes = createRouteList();
+  }
+}
+
+/**
+ * Split a path into its non-empty segments.
+ * @param {string} path
+ * @returns {string[]}
+ */
+const toSegments = (path) =>
+  (path ?? '').split('/').filter((s) => s.length > 0);
+
+class Router {
+  /**
+   * Compile a router from a list of endpoint-like targets.
+   *
+   * @param {Array<{ getPath: () => string }>} [targets=[]]
+   * @param {{ caseSensitive?: boolean }} [options] - `caseSensitive` (default true)
+   *   controls whether static segments must match case exactly
+   */
+  constructor(targets = [], { caseSensitive = true } = {}) {
+    this.caseSensitive = caseSensitive;
+    this.root = new RouteNode();
+    /** @type {Map<string, { list: RouteList, path: string }>} Fully static paths → routes and the path as registered. */
+    this.exact = new Map();
+
+    for (const target of targets) {
+      this.add(target);
+    }
+  }
+
+  /**
+   * Insert a target into the tree. Targets sharing a pattern are kept in
+   * registration order. Targets with an invalid path pattern are logged and
+   * skipped.
+   *
+   * @param {{ getPath: () => string }} target
+   * @returns {Router}
+   */
+  add(target) {
+    let segments;
+    try {
+      segments = parsePattern(target.getPath());
+    } catch (err) {
+      logger.error(`${err.message} in "${target.getPath()}". Skipping...`);
+      return this;
+    }
+
+    for (const variant of expandOptional(segments)) {
+      this.addVariant(target, variant);
+    }
+    return this;
+  }
+
+  /**
+   * @private
+   * @param {object} target
+   * @param {Array<object>} segments - Parsed segments of one optional-expanded variant
+   */
+  addVariant(target, segments) {
+    const paramNames = [];
+    let node = this.root;
+
+    for (const segment of segments) {
+      switch (segment.kind) {
+        case SEGMENT_KINDS.STATIC: {
+          const key = this.keyOf(segment.value);
+          let child = node.children.get(key);
+          if (!child) {
+            child = new RouteNode(segment.value);
+            node.children.set(key, child);
+          }
+          node = child;
+          break;
+        }
+        case SEGMENT_KINDS.REGEX: {
+          paramNames.push(segment.name);
+          let entry = node.regexChildren.find(
+            (c) => c.source === segment.source,
+          );
+          if (!entry) {
+            entry = {
+              source: segment.source,
+              regex: segment.regex,
+              node: new RouteNode(),
+            };
+            node.regexChildren.push(entry);
+          }
+          node = entry.node;
+          break;
+        }
+        case SEGMENT_KINDS.PARAM:
+          paramNames.push(segment.name);
+          if (!node.paramChild) node.paramChild = new RouteNode();
+          node = node.paramChild;
+          break;
+        case SEGMENT_KINDS.WILDCARD:
+          paramNames.push(segment.name);
+          addRoute(node.wildcardRoutes, target, paramNames);
+          return;
+      }
+    }
+
+    addRoute(node.routes, target, paramNames);
+
+    if (isStaticPattern(segments)) {
+      const path = `/${segments.map((s) => s.value).join('/')}`;
+      const key = this.keyOf(path);
+      if (!this.exact.has(key))
+        this.exact.set(key, { list: node.routes, path });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} value - Static segment or path
+   * @returns {string} Lookup key for static matching
+   */
+  keyOf(value) {
+    return this.caseSensitive ? value : value.toLowerCase();
+  }
+
+  /**
+   * Resolve a request path.
+   *
+   * @param {string} path - Request path without query string
+   * @param {(targets: object[]) => object|null|undefined} [select] - Picks one of the
+   *   targets registered under the matched pattern (default: the first). Returning
+   *   nothing makes the router keep looking at less specific patterns.
+   * @returns {{ target: object, params: Object<string, string>, candidates: object[], path: string }|null}
+   *   `candidates` lists every target registered under the matched pattern; it
+   *   is the same array for every match of that pattern and must not be
+   *   modified. `path` is
+   *   the canonical form of the request path: no empty segments, and static
+   *   segments spelled as registered.
+   */
+  find(path, select = (targets) => targets[0]) {
+    const segments = toSegments(path);
+
+    /** Apply select() to the routes ending at one node. */
+    const pick = (list) => {
+      if (list.targets.length === 0) return null;
+      const target = select(list.targets);
+      if (!target) return null;
+      const route = list.routes.find((r) => r.target === target);
+      return route ? { route, list } : null;
+    };
+
+    const exact = this.exact.get(this.keyOf(`/${segments.join('/')}`));
+    const exactMatch = exact && pick(exact.list);
+    if (exactMatch) {
+      return {
+        target: exactMatch.route.target,
+        params: Object.create(null),
+        candidates: exact.list.targets,
+        path: exact.path,
+      };
+    }
+
+    const values = [];
+    /** Canonical spelling of the segments matched so far. */
+    const matched = [];
+
+    const walk = (node, index) => {
+      if (index === segments.length) return pick(node.routes);
+
+      const segment = segments[index];
+
+      const child = node.children.get(this.keyOf(segment));
+      if (child) {
+        matched.push(child.value);
+        const found = walk(child, index + 1);
+        if (found) return found;
+        matched.pop();
+      }
+
+      matched.push(segment);
+      for (const { regex, node: regexNode } of node.regexChildren) {
+        if (!regex.test(segment)) continue;
+        values.push(segment);
+        const found = walk(regexNode, index + 1);
+        if (found) return found;
+        values.pop();
+      }
+
+      if (node.paramChild) {
+        values.push(segment);
+        const found = walk(node.paramChild, index + 1);
+        if (found) return found;
+        values.pop();
+      }
+      matched.pop();
+
+      if (node.wildcardRoutes.targets.length > 0) {
+        const rest = segments.slice(index).join('/');
+        values.push(rest);
+        matched.push(rest);
+        const found = pick(node.wildcardRoutes);
+        if (found) return found;
+        matched.pop();
+        values.pop();
+      }
+
+      return null;
+    };
+
+    const found = walk(this.root, 0);
+    if (!found) return null;
+
+    const params = Object.create(null);
+    found.route.paramNames.forEach((name, i) => {
+      params[name] = values[i];
+    });
+    return {
+      target: found.route.target,
+      params,
+      candidates: found.list.targets,
+      path: `/${matched.join('/')}`,
+    };
+  }
+}
+
+export { toSegments };
+export default Router;
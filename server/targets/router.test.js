@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Tests for the compiled segment-trie router.
+ */
+import { describe, it, expect } from 'vitest';
+import Router from './router.js';
+import registry from './registry.js';
+
+const route = (path) => ({ getPath: () => path, getMethods: () => null });
+
+describe('Router.find', () => {
+  it('should match the root path', () => {
+    const root = route('/');
+    const router = new Router([root]);
+    expect(router.find('').target).toBe(root);
+    expect(router.find('/').target).toBe(root);
+  });
+
+  it('should prefer exact matches over parameterized routes', () => {
+    const param = route('/users/:id');
+    const me = route('/users/me');
+    const router = new Router([param, me]);
+    expect(router.find('/users/me').target).toBe(me);
+    expect(router.find('/users/42').target).toBe(param);
+  });
+
+  it('should resolve overlapping routes by segment specificity', () => {
+    const first = route('/a/:x/c');
+    const second = route('/a/b/:y');
+    const router = new Router([first, second]);
+    expect(router.find('/a/b/c').target).toBe(second);
+    expect(router.find('/a/z/c').params.x).toBe('z');
+  });
+
+  it('should keep param names per route at a shared position', () => {
+    const byId = route('/users/:id');
+    const posts = route('/users/:userId/posts/:postId');
+    const router = new Router([byId, posts]);
+    expect(router.find('/users/7/posts/9').params).toEqual(
+      Object.assign(Object.create(null), { userId: '7', postId: '9' }),
+    );
+    expect(router.find('/users/7').params.id).toBe('7');
+  });
+
+  it('should keep the first registered target for duplicate paths', () => {
+    const a = route('/dup');
+    const b = route('/dup');
+    expect(new Router([a, b]).find('/dup').target).toBe(a);
+  });
+
+  it('should ignore empty segments', () => {
+    const target = route('/a/b');
+    expect(new Router([target]).find('/a//b').target).toBe(target);
+  });
+});
+
+describe('TargetRegistry router compilation', () => {
+  it('should recompile after targets are pushed or replaced', () => {
+    registry.targets = [];
+    registry.targets.push(route('/one'));
+    expect(registry.aim('/one')).not.toBeNull();
+    expect(registry.aim('/two')).toBeNull();
+
+    registry.targets.push(route('/two'));
+    expect(registry.aim('/two')).not.toBeNull();
+
+    registry.targets = [route('/three')];
+    expect(registry.aim('/one')).toBeNull();
+    expect(registry.aim('/three')).not.toBeNull();
+  });
+});
+
+describe('Router path syntax', () => {
+  it('should match regex-constrained params', () => {
+    const numeric = route('/users/:id(\\d+)');
+    const router = new Router([numeric]);
+    expect(router.find('/users/42').params.id).toBe('42');
+    expect(router.find('/users/abc')).toBeNull();
+  });
+
+  it('should match optional params with and without the segment', () => {
+    const posts = route('/posts/:slug?');
+    const router = new Router([posts]);
+    expect(router.find('/posts').target).toBe(posts);
+    expect(router.find('/posts').params.slug).toBeUndefined();
+    expect(router.find('/posts/hello').params.slug).toBe('hello');
+    expect(router.find('/posts/hello/extra')).toBeNull();
+  });
+
+  it('should match wildcards against the remaining segments', () => {
+    const files = route('/files/*path');
+    const router = new Router([files]);
+    expect(router.find('/files/a/b/c.txt').params.path).toBe('a/b/c.txt');
+    expect(router.find('/files')).toBeNull();
+  });
+
+  it('should rank static > regex > param > wildcard', () => {
+    const wildcard = route('/items/*rest');
+    const param = route('/items/:name');
+    const regex = route('/items/:id(\\d+)');
+    const exact = route('/items/new');
+    const router = new Router([wildcard, param, regex, exact]);
+    expect(router.find('/items/new').target).toBe(exact);
+    expect(router.find('/items/7').target).toBe(regex);
+    expect(router.find('/items/shoe').target).toBe(param);
+    expect(router.find('/items/shoe/red').target).toBe(wildcard);
+  });
+
+  it('should backtrack to a less specific route when a deeper match fails', () => {
+    const specific = route('/a/:x(\\d+)/edit');
+    const general = route('/a/:name/view');
+    const router = new Router([specific, general]);
+    expect(router.find('/a/1/view').target).toBe(general);
+    expect(router.find('/a/1/view').params.name).toBe('1');
+  });
+
+  it('should skip targets with invalid patterns', () => {
+    const bad = route('/files/*path/more');
+    const good = route('/files/:name');
+    const router = new Router([bad, good]);
+    expect(router.find('/files/x').target).toBe(good);
+  });
+});
+
+describe('TargetRegistry.aim with methods', () => {
+  const methodRoute = (path, methods) => ({
+    getPath: () => path,
+    getMethods: () => methods,
+  });
+
+  it('should pick the endpoint registered for the request method', () => {
+    const list = methodRoute('/users', ['GET', 'HEAD']);
+    const create = methodRoute('/users', ['POST']);
+    registry.targets = [list, create];
+    expect(registry.aim('/users', 'GET').target).toBe(list);
+    expect(registry.aim('/users', 'post').target).toBe(create);
+    expect(registry.aim('/users', 'POST').allowedMethods).toEqual([
+      'GET',
+      'HEAD',
+      'POST',
+    ]);
+  });
+
+  it('should fall back to the first endpoint when no method matches', () => {
+    const list = methodRoute('/users/:id', ['GET']);
+    const remove = methodRoute('/users/:id', ['DELETE']);
+    registry.targets = [list, remove];
+    const match = registry.aim('/users/1', 'PUT');
+    expect(match.target).toBe(list);
+    expect(match.allowedMethods).toEqual(['GET', 'DELETE']);
+  });
+
+  it('should try less specific patterns that accept the method', () => {
+    const me = methodRoute('/users/me', ['GET']);
+    const update = methodRoute('/users/:id', ['PUT']);
+    registry.targets = [me, update];
+    expect(registry.aim('/users/me', 'PUT').target).toBe(update);
+  });
+
+  it('should report null allowedMethods for method-agnostic endpoints', () => {
+    registry.targets = [
+      methodRoute('/any', null),
+      methodRoute('/any', ['GET']),
+    ];
+    expect(registry.aim('/any', 'POST').allowedMethods).toBeNull();
+  });
+
+  it('should list shared paths once', () => {
+    registry.targets = [
+      methodRoute('/users', ['GET']),
+      methodRoute('/users', ['POST']),
+    ];
+    expect(registry.getAllEndpoints()).toEqual(['/users']);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Reverse routing: build a URL from a route name.
+ *
+ * Routes are named through endpoint metadata:
+ *
+ *   target.register('/users/:id', { name: 'user.show' }, handler);
+ *   urlFor('user.show', { id: 5 }); // '/users/5'
+ *
+ * Versioned endpoints may share a name; pass `version` to pick one (and, with
+ * the `url` versioning strategy, to get the version prefix):
+ *
+ *   urlFor('user.show', { id: 5 }, { version: 2 }); // '/v2/users/5'
+ */
+
+import TejError from '../error.js';
+import targetRegistry from './registry.js';
+import { SEGMENT_KINDS, parsePattern } from './path-pattern.js';
+import {
+  STRATEGIES,
+  getVersioningConfig,
+  normalizeVersion,
+} from './versioning.js';
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} True when a param value counts as missing
+ */
+const isMissing = (value) =>
+  value === undefined || value === null || value === '';
+
+/**
+ * Serialize a query object. Arrays repeat the key; null and undefined values
+ * are skipped.
+ *
+ * @param {Object|URLSearchParams} [query]
+ * @returns {string} Query string including the leading `?`, or ''
+ */
+const toQueryString = (query) => {
+  if (!query) return '';
+  let search = query;
+  if (!(query instanceof URLSearchParams)) {
+    search = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      const values = Array.isArray(value) ? value : [value];
+      for (const v of values) {
+        if (v !== undefined && v !== null) search.append(key, String(v));
+      }
+    }
+  }
+  const str = search.toString();
+  return str ? `?${str}` : '';
+};
+
+/**
+ * @param {string|number|null|undefined} version
+ * @returns {string} The path prefix naming `version` under the `url`
+ *   versioning strategy (e.g. '/v2'), or ''
+ */
+const versionPrefix = (version) => {
+  if (version == null) return '';
+  const { strategy, prefix } = getVersioningConfig();
+  return strategy === STRATEGIES.URL
+    ? `/${prefix}${normalizeVersion(version)}`
+    : '';
+};
+
+/**
+ * Builds the URL of a named route. Param values are URL-encoded; a wildcard
+ * param may be a string (`'a/b.txt'`) or an array of segments, and each of
+ * its segments is encoded separately.
+ *
+ * @param {string} name - Route name from endpoint metadata (`{ name: 'user.show' }`)
+ * @param {Object<string, string|number|Array<string|number>>} [params={}] - Route param values
+ * @param {{ query?: Object|URLSearchParams, version?: string|number }} [options] - `query` is
+ *   appended as a query string. `version` picks the endpoint serving that API
+ *   version among those sharing the name, and prefixes the path with it under
+ *   the `url` versioning strategy.
+ * @returns {string} The path (e.g. '/users/5?tab=posts')
+ * @throws {TejError} If no route has that name (for `version`), a required
+ *   param is missing, or a value does not satisfy a regex-constrained param
+ * @example
+ * urlFor('user.show', { id: 5 }, { query: { tab: 'posts' } }); // '/users/5?tab=posts'
+ * urlFor('user.show', { id: 5 }, { version: 2 }); // '/v2/users/5'
+ */
+const urlFor = (name, params = {}, { query, version } = {}) => {
+  const target = targetRegistry.getByName(name, { version });
+  if (!target) {
+    throw new TejError(
+      500,
+      version == null
+        ? `urlFor: no route named "${name}"`
+        : `urlFor: no route named "${name}" serves version "${version}"`,
+    );
+  }
+
+  const pattern = target.getPath();
+  const parts = [];
+
+  for (const segment of parsePattern(pattern)) {
+    if (segment.kind === SEGMENT_KINDS.STATIC) {
+      parts.push(segment.value);
+      continue;
+    }
+
+    const value = params?.[segment.name];
+    if (isMissing(value)) {
+      // Optional params are trailing, so the rest of the path is omitted too.
+      if (segment.optional) break;
+      throw new TejError(
+        500,
+        `urlFor: missing param "${segment.name}" for route "${name}" (${pattern})`,
+      );
+    }
+
+    if (segment.kind === SEGMENT_KINDS.WILDCARD) {
+      const pieces = Array.isArray(value) ? value : String(value).split('/');
+      parts.push(
+        ...pieces
+          .filter((p) => !isMissing(p))
+          .map((p) => encodeURIComponent(String(p))),
+      );
+      continue;
+    }
+
+    const str = String(value);
+    if (segment.kind === SEGMENT_KINDS.REGEX && !segment.regex.test(str)) {
+      throw new TejError(
+        500,
+        `urlFor: param "${segment.name}" = "${str}" does not match (${segment.source}) in route "${name}" (${pattern})`,
+      );
+    }
+    parts.push(encodeURIComponent(str));
+  }
+
+  const prefix = versionPrefix(version);
+  const path =
+    prefix && parts.length === 0 ? prefix : `${prefix}/${parts.join('/')}`;
+  return `${path}${toQueryString(query)}`;
+};
+
+export default urlFor;
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests for named routes and reverse URL generation.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { setEnv } from 'tej-env';
+import urlFor from './url-for.js';
+import registry from './registry.js';
+import Target from '../target.js';
+import Ammo from '../ammo.js';
+import { createMockPair } from '../../tests/helpers/mock-http.js';
+
+const noop = (ammo) => ammo.fire();
+
+describe('urlFor', () => {
+  beforeEach(() => {
+    registry.targets = [];
+    const users = new Target('/users');
+    users.get('/:id', { name: 'user.show' }, noop);
+    users.get('/:id(\\d+)/posts/:slug?', { name: 'user.posts' }, noop);
+    new Target('/files').get('/*path', { name: 'files' }, noop);
+  });
+
+  it('should fill in and encode params', () => {
+    expect(urlFor('user.show', { id: 5 })).toBe('/users/5');
+    expect(urlFor('user.show', { id: 'a b/c' })).toBe('/users/a%20b%2Fc');
+  });
+
+  it('should append a query string', () => {
+    expect(
+      urlFor(
+        'user.show',
+        { id: 1 },
+        { query: { tab: 'posts', tag: ['a', 'b'], skip: undefined } },
+      ),
+    ).toBe('/users/1?tab=posts&tag=a&tag=b');
+  });
+
+  it('should omit missing optional params', () => {
+    expect(urlFor('user.posts', { id: 2 })).toBe('/users/2/posts');
+    expect(urlFor('user.posts', { id: 2, slug: 'hi' })).toBe(
+      '/users/2/posts/hi',
+    );
+  });
+
+  it('should encode wildcard segments separately', () => {
+    expect(urlFor('files', { path: 'a b/c.txt' })).toBe('/files/a%20b/c.txt');
+    expect(urlFor('files', { path: ['x', 'y?'] })).toBe('/files/x/y%3F');
+  });
+
+  it('should throw for missing params, regex mismatches and unknown names', () => {
+    expect(() => urlFor('user.show')).toThrow(/missing param "id"/);
+    expect(() => urlFor('user.posts', { id: 'abc' })).toThrow(/does not match/);
+    expect(() => urlFor('nope')).toThrow(/no route named "nope"/);
+  });
+
+  it('should follow mounted targets', () => {
+    const api = new Target('/api');
+    const items = new Target('/items');
+    items.get('/:id', { name: 'item.show' }, noop);
+    api.mount('/v1', items);
+    expect(urlFor('item.show', { id: 3 })).toBe('/api/v1/items/3');
+  });
+
+  describe('with versions', () => {
+    beforeEach(() => {
+      const users = new Target('/users');
+      users.get('/:id', { name: 'user.v', version: '1' }, noop);
+      users.get('/:id', { name: 'user.v', version: ['2', '3'] }, noop);
+      users.get('/', { name: 'user.list' }, noop);
+    });
+
+    afterEach(() => setEnv('VERSIONING_STRATEGY', ''));
+
+    it('should prefix the version under the url strategy', () => {
+      expect(urlFor('user.v', { id: 5 }, { version: 2 })).toBe('/v2/users/5');
+      expect(urlFor('user.v', { id: 5 }, { version: 'v1' })).toBe(
+        '/v1/users/5',
+      );
+      expect(urlFor('user.list', {}, { version: 3 })).toBe('/v3/users');
+    });
+
+    it('should leave the path alone under other strategies', () => {
+      setEnv('VERSIONING_STRATEGY', 'header');
+      expect(urlFor('user.v', { id: 5 }, { version: 3 })).toBe('/users/5');
+    });
+
+    it('should throw when no route with that name serves the version', () => {
+      expect(() => urlFor('user.v', { id: 5 }, { version: 4 })).toThrow(
+        /no route named "user.v" serves version "4"/,
+      );
+    });
+  });
+});
+
+describe('Ammo.redirect', () => {
+  beforeEach(() => {
+    registry.targets = [];
+    new Target('/users').get('/:id', { name: 'user.show' }, noop);
+  });
+
+  it('should resolve route names', () => {
+    const { req, res } = createMockPair();
+    new Ammo(req, res).redirect('user.show', { id: 7 }, 303);
+    expect(res.statusCode).toBe(303);
+    expect(res.getHeader('Location')).toBe('/users/7');
+  });
+
+  it('should build named routes for the request version', () => {
+    const users = new Target('/users');
+    users.get('/:id/v', { name: 'user.v', version: '1' }, noop);
+    users.get('/:id/v', { name: 'user.v', version: '2' }, noop);
+
+    const { req, res } = createMockPair();
+    const ammo = new Ammo(req, res);
+    ammo.version = '1';
+    ammo.redirect('user.v', { id: 7 });
+    expect(res.getHeader('Location')).toBe('/v1/users/7/v');
+  });
+
+  it('should keep plain URLs and accept the status as second argument', () => {
+    const { req, res } = createMockPair();
+    new Ammo(req, res).redirect('/elsewhere', 301);
+    expect(res.statusCode).toBe(301);
+    expect(res.getHeader('Location')).toBe('/elsewhere');
+  });
+});
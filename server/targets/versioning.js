@@ -0,0 +1,192 @@
+/**
+ * @fileoverview API versioning.
+ *
+ * Endpoints declare the version(s) they serve in metadata:
+ *
+ *   target.get('/users', { version: '1' }, listUsersV1);
+ *   target.get('/users', { version: ['2', '3'] }, listUsers);
+ *
+ * Endpoints without a version serve every version. The requested version is
+ * read according to `versioning.strategy` (VERSIONING_STRATEGY):
+ *
+ * | Strategy         | Request                                          |
+ * | ---------------- | ------------------------------------------------ |
+ * | `url` (default)  | `/v2/users` (prefix from `versioning.prefix`)    |
+ * | `header`         | `Accept-Version: 2` (`versioning.header`)        |
+ * | `media`          | `Accept: application/json; version=2`            |
+ *
+ * When the request names no version, `versioning.default` applies, or the
+ * latest registered version when that is unset.
+ */
+
+import { env } from 'tej-env';
+
+const STRATEGIES = Object.freeze({
+  URL: 'url',
+  HEADER: 'header',
+  MEDIA: 'media',
+});
+
+/**
+ * @param {string|number} version - e.g. 2, '2', 'v2', '1.1'
+ * @returns {string} Version without a leading `v` (e.g. '2')
+ */
+const normalizeVersion = (version) =>
+  String(version)
+    .trim()
+    .replace(/^v(?=\d)/i, '');
+
+/**
+ * @param {string|number|Array<string|number>|null|undefined} value - `metadata.version`
+ * @returns {string[]|null} Normalized versions, or null when none are declared
+ */
+const normalizeVersions = (value) => {
+  if (value == null) return null;
+  const versions = (Array.isArray(value) ? value : [value])
+    .map(normalizeVersion)
+    .filter(Boolean);
+  return versions.length > 0 ? [...new Set(versions)] : null;
+};
+
+/**
+ * Compare two versions part by part (`1.10` > `1.9`); non-numeric parts
+ * compare as strings.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative, zero or positive, as for Array#sort
+ */
+const compareVersions = (a, b) => {
+  const partsA = a.split('.');
+  const partsB = b.split('.');
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const x = partsA[i] ?? '0';
+    const y = partsB[i] ?? '0';
+    const diff =
+      /^\d+$/.test(x) && /^\d+$/.test(y)
+        ? Number(x) - Number(y)
+        : x.localeCompare(y);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * @returns {{ strategy: string, defaultVersion: string|null, header: string, prefix: string }}
+ */
+const getVersioningConfig = () => {
+  const strategy = String(env('VERSIONING_STRATEGY') ?? STRATEGIES.URL)
+    .trim()
+    .toLowerCase();
+  const defaultVersion = env('VERSIONING_DEFAULT');
+  return {
+    strategy: Object.values(STRATEGIES).includes(strategy)
+      ? strategy
+      : STRATEGIES.URL,
+    defaultVersion:
+      defaultVersion != null && defaultVersion !== ''
+        ? normalizeVersion(defaultVersion)
+        : null,
+    header: String(env('VERSIONING_HEADER') ?? 'accept-version').toLowerCase(),
+    prefix: String(env('VERSIONING_PREFIX') ?? 'v'),
+  };
+};
+
+/**
+ * Version used when a request does not name one.
+ *
+ * @param {string[]} versions - Registered versions, ascending
+ * @returns {string|null} `versioning.default`, else the latest registered version
+ */
+const getDefaultVersion = (versions) =>
+  getVersioningConfig().defaultVersion ?? versions[versions.length - 1] ?? null;
+
+/**
+ * Read the `version` parameter from an Accept header
+ * (`application/vnd.app+json; version=2`).
+ *
+ * @param {string} [accept]
+ * @returns {string|null}
+ */
+const versionFromAccept = (accept) => {
+  if (!accept) return null;
+  for (const range of String(accept).split(',')) {
+    for (const param of range.split(';').slice(1)) {
+      const [key, value] = param.split('=').map((s) => s.trim());
+      if (key.toLowerCase() === 'version' && value) {
+        return value.replace(/^"|"$/g, '');
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out which version a request asks for.
+ *
+ * With the `url` strategy, a leading `/<prefix><version>` segment naming a
+ * registered version is removed from the returned path.
+ *
+ * @param {string} url - Request path without query string
+ * @param {Object<string, string>} [headers] - Request headers (lowercase names)
+ * @param {string[]} versions - Registered versions, ascending
+ * @returns {{ version: string|null, path: string, prefix: string, requested: boolean }}
+ *   `requested` is false when the default version was applied. `version` is
+ *   null when no endpoint declares a version. `prefix` is the segment removed
+ *   from the path (e.g. '/v2'), or ''.
+ */
+const resolveRequestVersion = (url, headers, versions) => {
+  if (versions.length === 0) {
+    return { version: null, path: url, prefix: '', requested: false };
+  }
+
+  const config = getVersioningConfig();
+  let requested = null;
+  let path = url;
+  let prefix = '';
+
+  switch (config.strategy) {
+    case STRATEGIES.HEADER:
+      requested = headers?.[config.header] ?? null;
+      break;
+    case STRATEGIES.MEDIA:
+      requested = versionFromAccept(headers?.accept);
+      break;
+    default: {
+      const [, first, ...rest] = url.split('/');
+      if (first?.startsWith(config.prefix)) {
+        const candidate = first.slice(config.prefix.length);
+        if (versions.includes(candidate)) {
+          requested = candidate;
+          path = `/${rest.join('/')}`;
+          prefix = `/${first}`;
+        }
+      }
+    }
+  }
+
+  if (requested != null && String(requested).trim() !== '') {
+    return {
+      version: normalizeVersion(requested),
+      path,
+      prefix,
+      requested: true,
+    };
+  }
+  return {
+    version: getDefaultVersion(versions),
+    path,
+    prefix,
+    requested: false,
+  };
+};
+
+export {
+  STRATEGIES,
+  normalizeVersion,
+  normalizeVersions,
+  compareVersions,
+  getVersioningConfig,
+  getDefaultVersion,
+  resolveRequestVersion,
+};
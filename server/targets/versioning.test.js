@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Tests for API versioning.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { setEnv } from 'tej-env';
+import {
+  compareVersions,
+  normalizeVersions,
+  resolveRequestVersion,
+} from './versioning.js';
+import { findRouteConflicts } from './conflicts.js';
+import registry from './registry.js';
+import Target from '../target.js';
+
+const noop = (ammo) => ammo.fire();
+const VERSIONS = ['1', '2'];
+
+afterEach(() => {
+  setEnv('VERSIONING_STRATEGY', '');
+  setEnv('VERSIONING_DEFAULT', '');
+});
+
+describe('version helpers', () => {
+  it('should normalize declared versions', () => {
+    expect(normalizeVersions('v2')).toEqual(['2']);
+    expect(normalizeVersions([1, '1', '1.1'])).toEqual(['1', '1.1']);
+    expect(normalizeVersions(null)).toBeNull();
+  });
+
+  it('should compare versions numerically per part', () => {
+    expect(['1.10', '2', '1.9'].sort(compareVersions)).toEqual([
+      '1.9',
+      '1.10',
+      '2',
+    ]);
+  });
+});
+
+describe('resolveRequestVersion', () => {
+  it('should strip a known URL prefix', () => {
+    expect(resolveRequestVersion('/v1/users', {}, VERSIONS)).toEqual({
+      version: '1',
+      path: '/users',
+      prefix: '/v1',
+      requested: true,
+    });
+    expect(resolveRequestVersion('/v9/users', {}, VERSIONS).path).toBe(
+      '/v9/users',
+    );
+  });
+
+  it('should fall back to the configured default, else the latest', () => {
+    expect(resolveRequestVersion('/users', {}, VERSIONS).version).toBe('2');
+    setEnv('VERSIONING_DEFAULT', 'v1');
+    expect(resolveRequestVersion('/users', {}, VERSIONS)).toEqual({
+      version: '1',
+      path: '/users',
+      prefix: '',
+      requested: false,
+    });
+  });
+
+  it('should read the Accept-Version header', () => {
+    setEnv('VERSIONING_STRATEGY', 'header');
+    const result = resolveRequestVersion(
+      '/v1/users',
+      { 'accept-version': '1' },
+      VERSIONS,
+    );
+    expect(result.version).toBe('1');
+    expect(result.path).toBe('/v1/users');
+  });
+
+  it('should read the version media type parameter', () => {
+    setEnv('VERSIONING_STRATEGY', 'media');
+    expect(
+      resolveRequestVersion(
+        '/users',
+        { accept: 'application/vnd.app+json; version=1, */*' },
+        VERSIONS,
+      ).version,
+    ).toBe('1');
+  });
+
+  it('should do nothing when no endpoint is versioned', () => {
+    expect(resolveRequestVersion('/v1/users', {}, [])).toEqual({
+      version: null,
+      path: '/v1/users',
+      prefix: '',
+      requested: false,
+    });
+  });
+});
+
+describe('Versioned routing', () => {
+  let v1;
+  let v2;
+  let health;
+
+  beforeEach(() => {
+    registry.targets = [];
+    const users = new Target('/users');
+    users.get('/', { version: '1' }, noop);
+    users.get('/', { version: ['2'] }, noop);
+    new Target('/').get('/health', noop);
+    [v1, v2, health] = registry.targets;
+  });
+
+  it('should pick the endpoint for the requested version', () => {
+    expect(registry.getVersions()).toEqual(['1', '2']);
+    expect(registry.aim('/users', 'GET', { version: '1' }).target).toBe(v1);
+    expect(registry.aim('/users', 'GET', { version: '2' }).target).toBe(v2);
+    expect(registry.aim('/users', 'GET', { version: '3' })).toBeNull();
+  });
+
+  it('should use the default version when none is given', () => {
+    const match = registry.aim('/users', 'GET');
+    expect(match.target).toBe(v2);
+    expect(match.version).toBe('2');
+  });
+
+  it('should serve unversioned endpoints for every version', () => {
+    expect(registry.aim('/health', 'GET', { version: '1' }).target).toBe(
+      health,
+    );
+  });
+
+  it('should not report one path in different versions as a conflict', () => {
+    expect(findRouteConflicts(registry.targets)).toEqual([]);
+  });
+});
@@ -0,0 +1,288 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+import mime from 'mime';
+import TejError from '../server/error.js';
+import { addVary } from '../server/ammo/negotiation.js';
+import { isNotModified } from '../server/ammo/conditional.js';
+
+/** Precompressed siblings, in order of preference. */
+const ENCODINGS = [
+  ['br', '.br'],
+  ['gzip', '.gz'],
+];
+
+/**
+ * @param {string} [prefix]
+ * @returns {string} '' for the root, else '/segment/...' without a trailing slash
+ */
+const normalizePrefix = (prefix) => {
+  const segments = String(prefix ?? '/')
+    .split('/')
+    .filter(Boolean);
+  return segments.length > 0 ? `/${segments.join('/')}` : '';
+};
+
+/**
+ * @param {string} file - Absolute path
+ * @returns {Promise<import('node:fs').Stats|null>} null when nothing exists at the path
+ */
+const statFile = async (file) => {
+  try {
+    return await stat(file);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+    throw err;
+  }
+};
+
+/**
+ * Map a decoded request path to a file under `root`, refusing anything that
+ * would resolve outside it.
+ *
+ * @param {string} root - Absolute directory being served
+ * @param {string} relative - Decoded path below the URL prefix (starts with '/')
+ * @param {boolean} dotfiles - Whether segments starting with '.' may be served
+ * @returns {string|null} Absolute file path, or null when the path is refused
+ */
+const resolveFile = (root, relative, dotfiles) => {
+  if (relative.includes('\0')) return null;
+  const segments = relative.split(/[\\/]/);
+  if (segments.includes('..')) return null;
+  if (!dotfiles && segments.some((s) => s.startsWith('.') && s !== '.')) {
+    return null;
+  }
+  const file = path.join(root, relative);
+  return file === root || file.startsWith(root + path.sep) ? file : null;
+};
+
+/**
+ * @param {string} [header] - Accept-Encoding request header
+ * @param {string} encoding - e.g. 'gzip'
+ * @returns {boolean} True when the encoding is listed without `q=0`
+ */
+const acceptsEncoding = (header, encoding) =>
+  String(header ?? '')
+    .split(',')
+    .some((part) => {
+      const [name, ...params] = part.split(';').map((s) => s.trim());
+      if (name.toLowerCase() !== encoding) return false;
+      const q = params.find((p) => p.startsWith('q='));
+      return !q || Number(q.slice(2)) > 0;
+    });
+
+/**
+ * Parse a single `bytes=` range. Multiple ranges are not supported; the
+ * whole file is sent instead, as RFC 9110 allows.
+ *
+ * @param {string} [header] - Range request header
+ * @param {number} size - File size in bytes
+ * @returns {{ start: number, end: number }|null|false} The range, null to
+ *   send the whole file, or false when the range cannot be satisfied
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header ?? '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end = size - 1;
+  if (match[1] === '') {
+    const suffix = Number(match[2]);
+    if (suffix === 0) return false;
+    start = Math.max(size - suffix, 0);
+  } else {
+    start = Number(match[1]);
+    if (match[2] !== '') end = Math.min(Number(match[2]), size - 1);
+  }
+  return start < size && start <= end ? { start, end } : false;
+};
+
+/**
+ * @param {string} file - Path used to pick the MIME type
+ * @returns {string} Content-Type, with a UTF-8 charset for text formats
+ */
+const contentTypeOf = (file) => {
+  const type = mime.getType(file) ?? 'application/octet-stream';
+  return /^text\/|[+/](json|javascript|xml)$/.test(type)
+    ? `${type}; charset=utf-8`
+    : type;
+};
+
+/**
+ * Send a file with validators, honouring conditional and range requests.
+ *
+ * @param {import('../server/ammo.js').default} ammo
+ * @param {string} file - Absolute path of the file
+ * @param {import('node:fs').Stats} stats - Stats of `file`
+ * @param {{ cacheControl: string, precompressed: boolean }} options
+ * @returns {Promise<void>}
+ */
+const sendFile = async (ammo, file, stats, { cacheControl, precompressed }) => {
+  const { res, headers } = ammo;
+  let served = file;
+  let servedStats = stats;
+
+  if (precompressed) {
+    addVary(res, 'Accept-Encoding');
+    for (const [encoding, extension] of ENCODINGS) {
+      if (!acceptsEncoding(headers['accept-encoding'], encoding)) continue;
+      const sibling = await statFile(file + extension);
+      if (sibling?.isFile()) {
+        served = file + extension;
+        servedStats = sibling;
+        res.setHeader('Content-Encoding', encoding);
+        break;
+      }
+    }
+  }
+
+  const { size, mtime } = servedStats;
+  const etag = `W/"${size.toString(16)}-${Math.floor(servedStats.mtimeMs).toString(16)}"`;
+  const lastModified = mtime.toUTCString();
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified);
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('Accept-Ranges', 'bytes');
+
+  if (isNotModified(headers, { etag, lastModified: mtime })) {
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+
+  // A weak ETag never passes If-Range, so only the date form can resume.
+  const ifRange = headers['if-range'];
+  const range =
+    !ifRange || ifRange === lastModified
+      ? parseRange(headers.range, size)
+      : null;
+  if (range === false) {
+    res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+    res.end();
+    return;
+  }
+
+  if (range) {
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', size);
+  }
+  await ammo.stream(createReadStream(served, range ?? {}), {
+    status: range ? 206 : 200,
+    contentType: contentTypeOf(file),
+  });
+};
+
+/**
+ * Static file middleware factory. Serves GET and HEAD requests under
+ * `urlPrefix` from `dir`, with weak ETags, Last-Modified, 304 responses,
+ * single byte ranges and optional precompressed siblings. Requests for
+ * missing files (and other methods) continue down the chain; see
+ * staticFallback() for single-page apps.
+ *
+ * @param {string} urlPrefix - URL path the files are served under (e.g. '/assets', or '/')
+ * @param {string} dir - Directory to serve, absolute or relative to process.cwd()
+ * @param {Object} [options]
+ * @param {number} [options.maxAge=0] - Cache-Control max-age in seconds
+ * @param {boolean} [options.immutable=false] - Add `immutable` to Cache-Control (fingerprinted file names)
+ * @param {string[]|false} [options.index=['index.html']] - Files served for directory requests
+ * @param {boolean} [options.precompressed=false] - Serve `<file>.br` / `<file>.gz` to clients that accept them
+ * @param {boolean} [options.dotfiles=false] - Serve paths with a segment starting with '.'
+ * @returns {Function} Middleware (ammo, next)
+ */
+function staticMiddleware(urlPrefix, dir, options = {}) {
+  const {
+    maxAge = 0,
+    immutable = false,
+    index = ['index.html'],
+    precompressed = false,
+    dotfiles = false,
+  } = options;
+
+  const prefix = normalizePrefix(urlPrefix);
+  const root = path.resolve(process.cwd(), dir);
+  const indexFiles = index === false ? [] : [].concat(index);
+  const cacheControl = `public, max-age=${maxAge}${immutable ? ', immutable' : ''}`;
+
+  return async (ammo, next) => {
+    if (ammo.method !== 'GET' && ammo.method !== 'HEAD') return next();
+
+    const endpoint = ammo.endpoint ?? '/';
+    if (prefix && endpoint !== prefix && !endpoint.startsWith(`${prefix}/`)) {
+      return next();
+    }
+    const relative = endpoint.slice(prefix.length) || '/';
+
+    let decoded;
+    try {
+      decoded = decodeURIComponent(relative);
+    } catch {
+      return next();
+    }
+    let file = resolveFile(root, decoded, dotfiles);
+    if (!file) return next();
+
+    let stats = await statFile(file);
+    if (stats?.isDirectory()) {
+      // Checked on the full path: the bare prefix (`/pub`) defaults `relative` to '/'.
+      if (!endpoint.endsWith('/')) {
+        // Collapse leading slashes so '//host' cannot become an absolute URL.
+        const location = `${endpoint.replace(/^\/+/, '/')}/`;
+        const query = ammo.req.url.indexOf('?');
+        ammo.redirect(
+          query === -1 ? location : location + ammo.req.url.slice(query),
+          301,
+        );
+        return;
+      }
+      const dirPath = file;
+      stats = null;
+      for (const name of indexFiles) {
+        const candidate = await statFile(path.join(dirPath, name));
+        if (candidate?.isFile()) {
+          file = path.join(dirPath, name);
+          stats = candidate;
+          break;
+        }
+      }
+    }
+
+    if (stats?.isFile()) {
+      return sendFile(ammo, file, stats, { cacheControl, precompressed });
+    }
+    return next();
+  };
+}
+
+/**
+ * Handler for a single-page app's entry point, for use as a fallback (URLs
+ * no route or file matches): GET and HEAD requests that accept HTML get the
+ * file with `Cache-Control: no-cache`, anything else a 404.
+ *
+ * @param {string} dir - Directory served by staticMiddleware()
+ * @param {string} file - Entry point, relative to `dir` (e.g. 'index.html')
+ * @param {{ precompressed?: boolean }} [options]
+ * @returns {Function} Handler (ammo)
+ */
+const staticFallback = (dir, file, { precompressed = false } = {}) => {
+  const entry = resolveFile(path.resolve(process.cwd(), dir), `/${file}`, true);
+
+  return async (ammo) => {
+    const accepts = String(ammo.headers.accept ?? '').includes('text/html');
+    const stats =
+      entry && accepts && (ammo.method === 'GET' || ammo.method === 'HEAD')
+        ? await statFile(entry)
+        : null;
+    if (!stats?.isFile()) {
+      throw new TejError(404, `URL not found: ${ammo.endpoint}`);
+    }
+    await sendFile(ammo, entry, stats, {
+      cacheControl: 'no-cache',
+      precompressed,
+    });
+  };
+};
+
+export { staticFallback };
+export default staticMiddleware;
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Tests for the static file middleware.
+ */
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { request as httpRequest } from 'node:http';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+import staticMiddleware from './index.js';
+import registry from '../server/targets/registry.js';
+import Target from '../server/target.js';
+import Tejas from '../te.js';
+import { startTestServer } from '../tests/helpers/test-utils.js';
+
+let dir;
+let stop;
+let base;
+
+const request = (url, headers = {}, method = 'GET') =>
+  fetch(`${base}${url}`, { headers, method, redirect: 'manual' });
+
+/** Sends the path as-is (fetch would normalize `..` segments). */
+const rawRequest = (url) =>
+  new Promise((resolve, reject) => {
+    httpRequest(`${base}${url}`, { path: url }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    })
+      .on('error', reject)
+      .end();
+  });
+
+const serve = (prefix, options) => {
+  registry.globalMiddlewares = [
+    staticMiddleware(prefix, path.join(dir, 'public'), options),
+  ];
+};
+
+beforeAll(async () => {
+  dir = mkdtempSync(path.join(tmpdir(), 'tejas-static-'));
+  mkdirSync(path.join(dir, 'public', 'docs'), { recursive: true });
+  writeFileSync(path.join(dir, 'public', 'app.js'), 'console.log("app");');
+  writeFileSync(path.join(dir, 'public', 'data.txt'), '0123456789');
+  writeFileSync(path.join(dir, 'public', 'index.html'), '<html>home</html>');
+  writeFileSync(path.join(dir, 'public', 'docs', 'index.html'), '<p>docs</p>');
+  writeFileSync(path.join(dir, 'public', '.env'), 'SECRET=1');
+  writeFileSync(path.join(dir, 'secret.txt'), 'outside');
+  writeFileSync(
+    path.join(dir, 'public', 'app.js.gz'),
+    gzipSync('console.log("app");'),
+  );
+
+  ({ base, stop } = await startTestServer());
+  new Target().get('/api/users', (ammo) => ammo.fire([]));
+});
+
+afterEach(() => {
+  registry.globalMiddlewares = [];
+  registry.fallbacks = [];
+});
+
+afterAll(async () => {
+  await stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('staticMiddleware', () => {
+  it('should serve files with a MIME type and validators', async () => {
+    serve('/assets', { maxAge: 60 });
+
+    const res = await request('/assets/app.js');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toBe(
+      'text/javascript; charset=utf-8',
+    );
+    expect(res.headers.get('content-length')).toBe('19');
+    expect(res.headers.get('cache-control')).toBe('public, max-age=60');
+    expect(res.headers.get('etag')).toMatch(/^W\/"13-[0-9a-f]+"$/);
+    expect(await res.text()).toBe('console.log("app");');
+
+    const etag = res.headers.get('etag');
+    expect(
+      (await request('/assets/app.js', { 'If-None-Match': etag })).status,
+    ).toBe(304);
+    const lastModified = res.headers.get('last-modified');
+    expect(
+      (await request('/assets/app.js', { 'If-Modified-Since': lastModified }))
+        .status,
+    ).toBe(304);
+  });
+
+  it('should serve byte ranges', async () => {
+    serve('/');
+
+    const partial = await request('/data.txt', { Range: 'bytes=2-5' });
+    expect(partial.status).toBe(206);
+    expect(partial.headers.get('content-range')).toBe('bytes 2-5/10');
+    expect(await partial.text()).toBe('2345');
+
+    const suffix = await request('/data.txt', { Range: 'bytes=-3' });
+    expect(await suffix.text()).toBe('789');
+
+    const invalid = await request('/data.txt', { Range: 'bytes=20-' });
+    expect(invalid.status).toBe(416);
+    expect(invalid.headers.get('content-range')).toBe('bytes */10');
+
+    const stale = await request('/data.txt', {
+      Range: 'bytes=2-5',
+      'If-Range': 'Wed, 21 Oct 2015 07:28:00 GMT',
+    });
+    expect(stale.status).toBe(200);
+    expect(await stale.text()).toBe('0123456789');
+  });
+
+  it('should serve precompressed siblings to clients that accept them', async () => {
+    serve('/', { precompressed: true });
+
+    const gzip = await request('/app.js', { 'Accept-Encoding': 'gzip' });
+    expect(gzip.headers.get('content-encoding')).toBe('gzip');
+    expect(gzip.headers.get('vary')).toBe('Accept-Encoding');
+    expect(gzip.headers.get('content-type')).toBe(
+      'text/javascript; charset=utf-8',
+    );
+    expect(await gzip.text()).toBe('console.log("app");');
+
+    const identity = await request('/app.js', {
+      'Accept-Encoding': 'gzip;q=0',
+    });
+    expect(identity.headers.get('content-encoding')).toBeNull();
+  });
+
+  it('should serve directory index files', async () => {
+    serve('/');
+
+    expect(await (await request('/')).text()).toBe('<html>home</html>');
+    expect(await (await request('/docs/')).text()).toBe('<p>docs</p>');
+
+    const redirect = await request('/docs?page=2');
+    expect(redirect.status).toBe(301);
+    expect(redirect.headers.get('location')).toBe('/docs/?page=2');
+  });
+
+  it('should redirect the bare prefix to its directory URL', async () => {
+    serve('/pub');
+
+    const redirect = await request('/pub?page=2');
+    expect(redirect.status).toBe(301);
+    expect(redirect.headers.get('location')).toBe('/pub/?page=2');
+    expect(await (await request('/pub/')).text()).toBe('<html>home</html>');
+  });
+
+  it('should fall back to the SPA entry point for HTML requests', async () => {
+    new Tejas().serveStatic('/', path.join(dir, 'public'), {
+      fallback: 'index.html',
+    });
+
+    const page = await request('/settings/profile', { Accept: 'text/html' });
+    expect(page.status).toBe(200);
+    expect(page.headers.get('cache-control')).toBe('no-cache');
+    expect(await page.text()).toBe('<html>home</html>');
+
+    expect((await request('/missing.json')).status).toBe(404);
+    expect((await request('/api/users', { Accept: 'text/html' })).status).toBe(
+      200,
+    );
+  });
+
+  it('should refuse paths outside the directory and dotfiles', async () => {
+    serve('/assets');
+
+    expect(await rawRequest('/assets/../secret.txt')).toBe(404);
+    expect(await rawRequest('/assets/..%2fsecret.txt')).toBe(404);
+    expect(await rawRequest('/assets/%2e%2e/secret.txt')).toBe(404);
+    expect(await rawRequest('/assets/.env')).toBe(404);
+    expect(await rawRequest('/assets/app.js%00.txt')).toBe(404);
+  });
+
+  it('should pass other methods and unknown paths down the chain', async () => {
+    serve('/');
+
+    expect((await request('/app.js', {}, 'POST')).status).toBe(404);
+    expect(await (await request('/api/users')).json()).toEqual({ data: [] });
+  });
+});
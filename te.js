@@ -3,9 +3,17 @@ import { env, setEnv } from 'tej-env';
 import TejLogger from 'tej-logger';
 import rateLimiter from './rate-limit/index.js';
 import corsMiddleware from './cors/index.js';
+import compressionMiddleware from './compression/index.js';
+import staticMiddleware, { staticFallback } from './static/index.js';
 import radarMiddleware from './radar/index.js';
 
 import targetRegistry from './server/targets/registry.js';
+import Target from './server/target.js';
+import isShootValid from './server/targets/shoot-validator.js';
+import {
+  findRouteConflicts,
+  formatRouteConflicts,
+} from './server/targets/conflicts.js';
 
 import { loadConfigFile, standardizeObj } from './utils/configuration.js';
 
@@ -19,8 +27,10 @@ import path from 'node:path';
 import { pathToFileURL } from 'node:url';
 import { readFile } from 'node:fs/promises';
 import { readFrameworkVersion, fmtMs, statusLine } from './utils/startup.js';
-import { findTargetFiles } from './utils/auto-register.js';
+import { findTargetFiles, targetGroupId } from './utils/auto-register.js';
+import { watchTargets } from './utils/target-watcher.js';
 import { registerDocRoutes } from './auto-docs/ui/docs-ui.js';
+import { versionedOutputPath } from './auto-docs/index.js';
 import TejError from './server/error.js';
 
 const logger = new TejLogger('Tejas');
@@ -90,6 +100,8 @@ class Tejas {
     if (Tejas.instance) return Tejas.instance;
     Tejas.instance = this;
     this.options = args || {};
+    /** Root target backing app.register() and the method shortcuts. */
+    this.root = new Target();
   }
 
   /**
@@ -176,10 +188,7 @@ class Tejas {
         const fullPath = path.isAbsolute(parentPath)
           ? path.join(parentPath, file.name)
           : path.join(baseDir, parentPath, file.name);
-        const relativePath = path.relative(baseDir, fullPath);
-        const groupId =
-          relativePath.replace(/\.target\.js$/i, '').replace(/\\/g, '/') ||
-          'index';
+        const groupId = targetGroupId(baseDir, fullPath);
         targetRegistry.setCurrentSourceGroup(groupId);
         try {
           await import(pathToFileURL(fullPath).href);
@@ -195,6 +204,152 @@ class Tejas {
     }
   }
 
+  /**
+   * Hot-reloads target files from the configured directory while the server
+   * runs. Enabled by `tejas fly --watch` (WATCH).
+   *
+   * @private
+   * @returns {boolean} Whether the directory is being watched
+   */
+  watchTargetsDir() {
+    if (!process.env.DIR_TARGETS) return false;
+    const baseDir = path.join(process.cwd(), process.env.DIR_TARGETS);
+    try {
+      this.watcher = watchTargets(baseDir, {
+        onReload: () => this.checkRouteConflicts(),
+      });
+      return true;
+    } catch (err) {
+      logger.error(`Tejas could not watch target files. Error: ${err}`, false);
+      return false;
+    }
+  }
+
+  /**
+   * Registers an endpoint directly on the app, without a separate Target.
+   * Takes the same arguments as {@link Target#register}; the path is used as-is.
+   *
+   * @param {string} path - The endpoint path (e.g. '/health').
+   * @param {Object} [metadata] - Optional metadata (methods, summary, etc.).
+   * @param {...Function} [middlewares] - Optional middleware functions for this endpoint.
+   * @param {Function} shoot - The handler function.
+   * @returns {Tejas} The Tejas instance for chaining
+   *
+   * @example
+   * app
+   *   .register('/health', (ammo) => ammo.fire({ status: 'ok' }))
+   *   .get('/users/:id', (ammo) => ammo.fire({ id: ammo.params.id }))
+   *   .post('/users', authMiddleware, (ammo) => ammo.fire(201, ammo.payload));
+   */
+  register() {
+    this.root.register(...arguments);
+    return this;
+  }
+
+  /**
+   * Registers a GET (and HEAD) endpoint on the app. See {@link Target#get}.
+   * @returns {Tejas} The Tejas instance for chaining
+   */
+  get() {
+    this.root.get(...arguments);
+    return this;
+  }
+
+  /**
+   * Registers a POST endpoint on the app. See {@link Target#get}.
+   * @returns {Tejas} The Tejas instance for chaining
+   */
+  post() {
+    this.root.post(...arguments);
+    return this;
+  }
+
+  /**
+   * Registers a PUT endpoint on the app. See {@link Target#get}.
+   * @returns {Tejas} The Tejas instance for chaining
+   */
+  put() {
+    this.root.put(...arguments);
+    return this;
+  }
+
+  /**
+   * Registers a PATCH endpoint on the app. See {@link Target#get}.
+   * @returns {Tejas} The Tejas instance for chaining
+   */
+  patch() {
+    this.root.patch(...arguments);
+    return this;
+  }
+
+  /**
+   * Registers a DELETE endpoint on the app. See {@link Target#get}.
+   * @returns {Tejas} The Tejas instance for chaining
+   */
+  delete() {
+    this.root.delete(...arguments);
+    return this;
+  }
+
+  /**
+   * Sets the handler for URLs that no route matches, in place of the 404
+   * response. Fallbacks set on targets with {@link Target#fallback} take
+   * precedence under their base path.
+   *
+   * @param {...Function} [middlewares] - Optional middleware functions
+   * @param {Function} handler - The handler function
+   * @returns {Tejas} The Tejas instance for chaining
+   *
+   * @example
+   * app.notFound((ammo) => ammo.fire(404, 'Nothing here'));
+   */
+  notFound() {
+    this.root.fallback(...arguments);
+    return this;
+  }
+
+  /**
+   * Replaces or disables the placeholder page served for `GET /` when no
+   * route or fallback matches it.
+   *
+   * @param {Function|false} handler - Handler taking ammo, or false to answer `/` with a 404
+   * @returns {Tejas} The Tejas instance for chaining
+   *
+   * @example
+   * app.defaultEntry(false);
+   * app.defaultEntry((ammo) => ammo.fire({ service: 'billing', status: 'ok' }));
+   */
+  defaultEntry(handler) {
+    if (handler === false || isShootValid(handler)) {
+      targetRegistry.setDefaultEntry(handler);
+    }
+    return this;
+  }
+
+  /**
+   * Reports endpoints shadowed by an earlier registration (duplicate paths,
+   * equivalent param patterns) that accept overlapping methods.
+   *
+   * @private
+   * @returns {void}
+   * @throws {TejError} If conflicts are found and `router.strict` (ROUTER_STRICT) is enabled
+   */
+  checkRouteConflicts() {
+    const conflicts = findRouteConflicts(targetRegistry.targets);
+    if (conflicts.length === 0) return;
+
+    const report = formatRouteConflicts(conflicts);
+    const strict = env('ROUTER_STRICT');
+    if (strict === true || strict === 'true') {
+      throw new TejError(
+        500,
+        `${report}\nRoute conflicts are not allowed when router.strict is enabled`,
+        { cause: new Error('ERR_ROUTE_CONFLICT') },
+      );
+    }
+    logger.warn(report);
+  }
+
   /**
    * Starts the Tejas server
    *
@@ -253,6 +408,19 @@ class Tejas {
     }
 
     await this.registerTargetsDir();
+    this.checkRouteConflicts();
+
+    const watch = env('WATCH');
+    if (watch === true || watch === 'true') {
+      const watching = this.watchTargetsDir();
+      line.finish(
+        'Watch',
+        watching,
+        watching
+          ? `reloading ${process.env.DIR_TARGETS} on change`
+          : 'no targets directory (dir.targets)',
+      );
+    }
 
     // ── Start HTTP server ───────────────────────────────────────────────
     this.engine = createServer(targetHandler);
@@ -372,6 +540,59 @@ class Tejas {
     return this;
   }
 
+  /**
+   * Compresses responses with brotli, gzip or deflate, according to the
+   * request's Accept-Encoding header. Covers fire(), stream() and static files
+   * served after it, so register it before serveStatic() and your routes.
+   * Already-compressed types (images, archives...), event streams and
+   * responses below `threshold` are sent as-is.
+   *
+   * @param {Object} [config] - Compression configuration
+   * @param {number} [config.threshold=1024] - Minimum body size in bytes
+   * @param {number} [config.level] - gzip/deflate level, 0-9 (zlib's default when omitted)
+   * @param {boolean} [config.brotli=true] - Offer brotli to clients that accept it
+   * @returns {Tejas} The Tejas instance for chaining
+   *
+   * @example
+   * app.withCompression({ threshold: 2048, level: 6 });
+   */
+  withCompression(config = {}) {
+    this.midair(compressionMiddleware(config));
+    return this;
+  }
+
+  /**
+   * Serves static files from a directory for GET and HEAD requests under a URL
+   * prefix. Runs as a global middleware: requests for files that do not exist
+   * continue to the routes (or the 404 response). With `fallback`, URLs under
+   * the prefix that no route or file matches get that file when the client
+   * accepts HTML, like a {@link Target#fallback} set on the prefix.
+   *
+   * @param {string} urlPrefix - URL path the files are served under (e.g. '/assets', or '/')
+   * @param {string} dir - Directory to serve, absolute or relative to process.cwd()
+   * @param {Object} [options] - Static file options
+   * @param {number} [options.maxAge=0] - Cache-Control max-age in seconds
+   * @param {boolean} [options.immutable=false] - Add `immutable` to Cache-Control
+   * @param {string[]|false} [options.index=['index.html']] - Files served for directory requests
+   * @param {string|false} [options.fallback=false] - File served for missing paths to clients that accept HTML (single-page apps)
+   * @param {boolean} [options.precompressed=false] - Serve `.br` / `.gz` siblings to clients that accept them
+   * @param {boolean} [options.dotfiles=false] - Serve paths with a segment starting with '.'
+   * @returns {Tejas} The Tejas instance for chaining
+   *
+   * @example
+   * app.serveStatic('/assets', './public/assets', { maxAge: 31536000, immutable: true });
+   * app.serveStatic('/', './dist', { fallback: 'index.html', precompressed: true });
+   */
+  serveStatic(urlPrefix, dir, options = {}) {
+    this.midair(staticMiddleware(urlPrefix, dir, options));
+    if (options.fallback) {
+      new Target(urlPrefix).fallback(
+        staticFallback(dir, options.fallback, options),
+      );
+    }
+    return this;
+  }
+
   /**
    * Enables Tejas Radar telemetry — captures HTTP request metrics and forwards
    * them to a Radar collector for real-time observability.
@@ -510,6 +731,8 @@ class Tejas {
 
   /**
    * Serves the API documentation at GET /docs and GET /docs/openapi.json from a pre-generated spec file.
+   * The per-version specs written next to it (`openapi.v2.json`, see generateDocs) are served at
+   * GET /docs/openapi.v<version>.json; a version without a spec file answers 404.
    * Generate the spec with `tejas generate:docs`, then call this to serve it on your app.
    * Uses Scalar API Reference; default layout is 'classic' so the test request appears on the same page (not in a dialog).
    *
@@ -536,8 +759,26 @@ class Tejas {
       const content = await readFile(specPath, 'utf8');
       return JSON.parse(content);
     };
+    const getVersionSpec = async (version) => {
+      try {
+        const content = await readFile(
+          versionedOutputPath(specPath, version),
+          'utf8',
+        );
+        return JSON.parse(content);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    };
     registerDocRoutes(
-      { getSpec, specUrl: '/docs/openapi.json', scalarConfig, password },
+      {
+        getSpec,
+        getVersionSpec,
+        specUrl: '/docs/openapi.json',
+        scalarConfig,
+        password,
+      },
       targetRegistry,
     );
     return this;
@@ -551,7 +792,15 @@ const listAllEndpoints = (grouped = false) => {
 export { default as Target } from './server/target.js';
 export { default as TejFileUploader } from './server/files/uploader.js';
 export { default as TejError } from './server/error.js';
+export { default as urlFor } from './server/targets/url-for.js';
+export { default as targetRegistry } from './server/targets/registry.js';
 export { listAllEndpoints };
+export {
+  registerSerializer,
+  unregisterSerializer,
+  toCsv,
+  toNdjson,
+} from './server/ammo/serializers.js';
 export {
   contextMiddleware,
   getRequestId,
@@ -561,5 +810,4 @@ export {
 
 export default Tejas;
 
-// TODO Ability to register a target (route) from tejas instance
 // TODO tejas as CLI tool
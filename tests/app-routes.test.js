@@ -0,0 +1,115 @@
+/**
+ * Routes registered directly on the Tejas instance.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { setEnv } from 'tej-env';
+import Tejas, { Target, listAllEndpoints } from '../te.js';
+import registry from '../server/targets/registry.js';
+import { startTestServer } from './helpers/test-utils.js';
+
+const noop = (ammo) => ammo.fire();
+
+describe('Tejas route registration', () => {
+  beforeEach(() => {
+    registry.targets = [];
+  });
+
+  it('should register endpoints in the shared registry', () => {
+    const app = new Tejas();
+    app.register('/health', noop).get('/users/:id', noop).post('/users', noop);
+
+    expect(listAllEndpoints()).toEqual(['/health', '/users/:id', '/users']);
+    expect(registry.aim('/users/9', 'GET').params.id).toBe('9');
+    expect(registry.aim('/users', 'POST').target.getMethods()).toEqual([
+      'POST',
+    ]);
+  });
+
+  it('should pass metadata and middlewares through', () => {
+    const app = new Tejas();
+    const auth = (ammo, next) => next();
+    app.delete('/users/:id', { summary: 'Remove user' }, auth, noop);
+
+    const [endpoint] = registry.getAllEndpoints({ detailed: true });
+    expect(endpoint.methods).toEqual(['DELETE']);
+    expect(endpoint.metadata.summary).toBe('Remove user');
+    expect(registry.targets[0].getMiddlewares()).toEqual([auth]);
+  });
+});
+
+describe('Tejas route conflict check', () => {
+  beforeEach(() => {
+    registry.targets = [];
+  });
+
+  afterEach(() => {
+    setEnv('ROUTER_STRICT', false);
+  });
+
+  it('should fail in strict mode when routes conflict', () => {
+    const app = new Tejas();
+    app.get('/users/:id', noop).get('/users/:userId', noop);
+
+    setEnv('ROUTER_STRICT', true);
+    expect(() => app.checkRouteConflicts()).toThrow(/route conflict/);
+  });
+
+  it('should pass in strict mode without conflicts', () => {
+    const app = new Tejas();
+    app.get('/users/:id', noop).delete('/users/:id', noop);
+
+    setEnv('ROUTER_STRICT', true);
+    expect(() => app.checkRouteConflicts()).not.toThrow();
+  });
+});
+
+describe('Tejas not-found and default entry handlers', () => {
+  let stop;
+  let base;
+
+  const request = (path) => fetch(`${base}${path}`);
+
+  beforeEach(async () => {
+    ({ base, stop } = await startTestServer());
+  });
+
+  afterEach(async () => {
+    await stop();
+  });
+
+  it('should serve unmatched URLs with the app and target fallbacks', async () => {
+    const app = new Tejas();
+    app.notFound((ammo) => ammo.fire('<html>spa</html>'));
+    const api = new Target('/api');
+    api.get('/users', noop);
+    api.fallback((ammo) => ammo.fire(404, `No ${ammo.endpoint}`));
+
+    const spa = await request('/settings/profile');
+    expect(spa.status).toBe(200);
+    expect(await spa.json()).toEqual({ data: '<html>spa</html>' });
+
+    const missing = await request('/api/orders');
+    expect(missing.status).toBe(404);
+    expect(await missing.json()).toEqual({ error: 'No /api/orders' });
+
+    expect((await request('/api/users')).status).toBe(204);
+  });
+
+  it('should let a fallback serve /', async () => {
+    new Tejas().notFound((ammo) => ammo.fire('spa'));
+    expect(await (await request('/')).json()).toEqual({ data: 'spa' });
+  });
+
+  it('should replace or disable the default entry page', async () => {
+    const app = new Tejas();
+    expect(await (await request('/')).text()).toContain('<html');
+
+    app.defaultEntry((ammo) => ammo.fire({ status: 'ok' }));
+    expect(await (await request('/')).json()).toEqual({
+      data: { status: 'ok' },
+    });
+
+    app.defaultEntry(false);
+    expect((await request('/')).status).toBe(404);
+  });
+});
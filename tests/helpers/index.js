@@ -24,6 +24,7 @@ export {
   createMockEndpoint,
   createMockMiddleware,
   createExpressStyleMiddleware,
+  startTestServer,
   sleep,
   waitFor,
   createMockDbConnection,
@@ -1,4 +1,5 @@
 import { vi } from 'vitest';
+import { createServer } from 'node:http';
 import {
   createMockRequest,
   createMockResponse,
@@ -30,6 +31,9 @@ export async function createEnhancedAmmo(options = {}) {
 
   // Mock the body parser to avoid actual body parsing
   const mockPayload = options.body || {};
+  ammo.body = mockPayload;
+  ammo.query = Object.create(null);
+  ammo.params = Object.create(null);
   ammo.payload = mockPayload;
   ammo.method = options.method || 'GET';
   ammo.headers = req.headers;
@@ -232,6 +236,45 @@ export function createExpressStyleMiddleware(options = {}) {
   return middleware;
 }
 
+/**
+ * Reset the app's target registry: no endpoints, fallbacks or global
+ * middlewares, and the built-in default entry page
+ * @param {Object} registry - The TargetRegistry singleton
+ */
+function resetRegistry(registry) {
+  registry.targets = [];
+  registry.fallbacks = [];
+  registry.setDefaultEntry(true);
+  registry.globalMiddlewares = [];
+}
+
+/**
+ * Start an HTTP server running the framework's request handler on a random
+ * port, with the target registry reset first. `stop()` closes the server
+ * (and any open connections) and resets the registry again.
+ * @param {Function} [listener] - Request listener wrapping the handler
+ *   (defaults to the handler itself)
+ * @returns {Promise<{ server: import('node:http').Server, base: string, stop: () => Promise<void> }>}
+ */
+export async function startTestServer(listener) {
+  const { default: handler } = await import('../../server/handler.js');
+  const { default: registry } = await import(
+    '../../server/targets/registry.js'
+  );
+  resetRegistry(registry);
+
+  const server = createServer(listener ?? handler);
+  await new Promise((resolve) => server.listen(0, resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const stop = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    resetRegistry(registry);
+  };
+  return { server, base, stop };
+}
+
 /**
  * Sleep utility for async tests
  * @param {number} ms - Milliseconds to sleep
@@ -398,6 +441,7 @@ export default {
   createMockEndpoint,
   createMockMiddleware,
   createExpressStyleMiddleware,
+  startTestServer,
   sleep,
   waitFor,
   createMockFile,
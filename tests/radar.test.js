@@ -244,6 +244,43 @@ describe('Radar Middleware', () => {
     });
   });
 
+  describe('server-sent events', () => {
+    it('should record the stream lifetime apart from the request duration', async () => {
+      let capturedEvents = [];
+      const transport = vi.fn(async (events) => {
+        capturedEvents = events;
+        return { ok: true, status: 200 };
+      });
+
+      const mw = await radarMiddleware({
+        apiKey: 'rdr_test',
+        batchSize: 2,
+        flushInterval: 60_000,
+        transport,
+      });
+
+      const ammo = makeAmmo({ path: '/events' });
+      mw(ammo, () => {});
+      const openedAt = Date.now();
+      ammo._sse = { openedAt, eventsSent: 3, bytesSent: 42 };
+      await new Promise((r) => setTimeout(r, 30));
+      // The client disconnected: 'close' without 'finish'.
+      ammo.res.emit('close');
+
+      await new Promise((r) => setTimeout(r, 100));
+
+      const [log, ...spans] = capturedEvents;
+      expect(log.type).toBe('log');
+      expect(log.stream).toBe('sse');
+      expect(log.response_size).toBe(42);
+      expect(log.duration_ms).toBeLessThan(30);
+      expect(log.stream_duration_ms).toBeGreaterThanOrEqual(25);
+      const span = spans.find((e) => e.name === 'sse:/events');
+      expect(span.spanType).toBe('other');
+      expect(span.metadata).toEqual({ events: 3, bytes: 42 });
+    });
+  });
+
   describe('disabled mode', () => {
     it('should return a passthrough middleware when no API key', async () => {
       delete process.env.RADAR_API_KEY;
@@ -1,6 +1,12 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
+/**
+ * @param {string} name - File name
+ * @returns {boolean} True for auto-registered target files (`*target.js`)
+ */
+const isTargetFile = (name) => name.endsWith('target.js');
+
 const findTargetFiles = async () => {
   if (!process.env.DIR_TARGETS) return;
   const fullPath = path.join(process.cwd(), process.env.DIR_TARGETS);
@@ -9,9 +15,21 @@ const findTargetFiles = async () => {
     recursive: true,
   });
 
-  return directory.filter(
-    (file) => file.isFile() && file.name.endsWith('target.js'),
-  );
+  return directory.filter((file) => file.isFile() && isTargetFile(file.name));
 };
 
-export { findTargetFiles };
+/**
+ * Source group of a target file: its path relative to the targets directory,
+ * without the `.target.js` suffix (e.g. 'api/users').
+ *
+ * @param {string} baseDir - Absolute path of the targets directory
+ * @param {string} fullPath - Absolute path of the target file
+ * @returns {string}
+ */
+const targetGroupId = (baseDir, fullPath) =>
+  path
+    .relative(baseDir, fullPath)
+    .replace(/\.target\.js$/i, '')
+    .replace(/\\/g, '/') || 'index';
+
+export { findTargetFiles, isTargetFile, targetGroupId };
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Module resolution hooks for hot reload (see target-watcher.js),
+ * registered with `module.register()`.
+ *
+ * A target file re-imported with a `reload` query string passes it on to the
+ * target files it imports from the same targets directory. They are then
+ * evaluated again with it instead of coming from the module cache, and a
+ * file imported by several others during one reload is evaluated once.
+ * Other modules (services, the framework itself) keep their cached instance.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isTargetFile } from './auto-register.js';
+
+/** Absolute path of the targets directory, set by initialize(). */
+let baseDir;
+
+/**
+ * @param {{ baseDir: string }} data - Passed by `module.register()`
+ */
+const initialize = (data) => {
+  baseDir = data.baseDir;
+};
+
+/**
+ * @param {string} specifier
+ * @param {{ parentURL?: string }} context
+ * @param {Function} nextResolve
+ */
+const resolve = async (specifier, context, nextResolve) => {
+  const resolved = await nextResolve(specifier, context);
+  const reload = context.parentURL?.startsWith('file:')
+    ? new URL(context.parentURL).searchParams.get('reload')
+    : null;
+  if (!reload || !resolved.url.startsWith('file:')) return resolved;
+
+  const url = new URL(resolved.url);
+  const file = fileURLToPath(url);
+  const relative = path.relative(baseDir, file);
+  if (
+    !isTargetFile(path.basename(file)) ||
+    relative.startsWith('..') ||
+    path.isAbsolute(relative)
+  ) {
+    return resolved;
+  }
+  url.searchParams.set('reload', reload);
+  return { ...resolved, url: url.href };
+};
+
+export { initialize, resolve };
@@ -60,7 +60,10 @@ function logHttpRequest(ammo, next) {
       JSON.stringify(maskedPayload),
     )}`;
 
-    let maskedResponse = ammo.dispatchedData;
+    let maskedResponse =
+      ammo.dispatchedBytes != null
+        ? `[stream, ${ammo.dispatchedBytes} bytes]`
+        : ammo.dispatchedData;
     try {
       maskedResponse = JSON.stringify(
         maskForLog(JSON.parse(ammo.dispatchedData)),
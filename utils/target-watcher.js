@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Hot reload of target files for `tejas fly --watch`.
+ *
+ * When `*.target.js` files under the targets directory change, all of them
+ * are re-imported with a fresh cache-busting query string, which also
+ * reaches the target files they import (see reload-hooks.js): a target
+ * mounted from another file is re-created and mounted again. Their endpoints
+ * then replace all the previously loaded ones at once. The HTTP server keeps
+ * running; when a file fails to import (e.g. a syntax error), the previous
+ * endpoints are kept.
+ */
+
+import fs from 'node:fs';
+import module from 'node:module';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import TejLogger from 'tej-logger';
+import targetRegistry from '../server/targets/registry.js';
+import { isTargetFile, targetGroupId } from './auto-register.js';
+
+const logger = new TejLogger('Tejas.Watch');
+
+/** Editors emit several events per save; changes within this window are coalesced. */
+const DEBOUNCE_MS = 100;
+
+let reloadCount = 0;
+
+/** @type {Set<string>} Targets directories the reload hooks are registered for. */
+const hookedDirs = new Set();
+
+/**
+ * Re-imports every target file of a targets directory and swaps their
+ * endpoints in the registry, in a single change. Endpoints of deleted files
+ * are removed.
+ *
+ * @param {string} baseDir - Absolute path of the targets directory
+ * @returns {Promise<boolean>} False when a file failed to import
+ */
+const reloadTargets = async (baseDir) => {
+  if (!hookedDirs.has(baseDir)) {
+    module.register('./reload-hooks.js', import.meta.url, {
+      data: { baseDir },
+    });
+    hookedDirs.add(baseDir);
+  }
+
+  const files = fs
+    .readdirSync(baseDir, { withFileTypes: true, recursive: true })
+    .filter((entry) => entry.isFile() && isTargetFile(entry.name))
+    .map((entry) =>
+      path.join(entry.parentPath ?? entry.path ?? baseDir, entry.name),
+    );
+  const reload = `${Date.now()}-${++reloadCount}`;
+
+  let file;
+  let added;
+  try {
+    ({ added } = await targetRegistry.reloadGroups(async () => {
+      for (const fullPath of files) {
+        file = path.relative(process.cwd(), fullPath);
+        const url = pathToFileURL(fullPath);
+        url.searchParams.set('reload', reload);
+        targetRegistry.setCurrentSourceGroup(targetGroupId(baseDir, fullPath));
+        try {
+          await import(url.href);
+        } finally {
+          targetRegistry.setCurrentSourceGroup(null);
+        }
+      }
+    }));
+  } catch (err) {
+    logger.error(
+      `${file}: reload failed, keeping the previous endpoints. ${err?.stack ?? err}`,
+      false,
+    );
+    return false;
+  }
+
+  logger.info(
+    `Reloaded ${files.length} target files (${added.length} endpoints)`,
+  );
+  return true;
+};
+
+/**
+ * Watches a targets directory (recursively) and hot-reloads its target files
+ * when any of them changes. Reloads run one at a time.
+ *
+ * @param {string} baseDir - Absolute path of the targets directory
+ * @param {Object} [options]
+ * @param {() => void} [options.onReload] - Called after each successful reload; errors it throws are logged
+ * @returns {{ close: () => void }} Stops watching
+ */
+const watchTargets = (baseDir, { onReload } = {}) => {
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const reload = () => {
+    queue = queue.then(async () => {
+      if (!(await reloadTargets(baseDir))) return;
+      try {
+        onReload?.();
+      } catch (err) {
+        logger.error(err, false);
+      }
+    });
+  };
+
+  const watcher = fs.watch(baseDir, { recursive: true }, (_event, filename) => {
+    if (!filename || !isTargetFile(path.basename(filename))) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, DEBOUNCE_MS);
+  });
+  watcher.on('error', (err) => logger.error(`Target watcher error: ${err}`));
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    },
+  };
+};
+
+export { reloadTargets, watchTargets };
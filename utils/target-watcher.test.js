@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Tests for utils/target-watcher.js
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { pathToFileURL } from 'node:url';
+import targetRegistry from '../server/targets/registry.js';
+import { reloadTargets } from './target-watcher.js';
+
+const fileUrl = (relative) =>
+  pathToFileURL(path.join(import.meta.dirname, relative)).href;
+const targetUrl = fileUrl('../server/target.js');
+const registryUrl = fileUrl('../server/targets/registry.js');
+const watcherUrl = fileUrl('./target-watcher.js');
+
+const targetSource = (route) => `
+import Target from '${targetUrl}';
+const users = new Target('/users');
+users.get('${route}', (ammo) => ammo.fire('${route}'));
+export default users;
+`;
+
+const parentSource = (mountPath) => `
+import Target from '${targetUrl}';
+import users from './users.target.js';
+const api = new Target('/api');
+api.midair(function auth(ammo, next) {
+  return next();
+});
+api.mount('${mountPath}', users);
+`;
+
+describe('reloadTargets', () => {
+  let baseDir;
+  let file;
+
+  const paths = () => targetRegistry.targets.map((t) => t.getPath());
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-watch-'));
+    file = path.join(baseDir, 'users.target.js');
+    targetRegistry.targets = [];
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+    targetRegistry.targets = [];
+  });
+
+  it('should register the endpoints of a new file under its group', async () => {
+    fs.writeFileSync(file, targetSource('/list'));
+    expect(await reloadTargets(baseDir)).toBe(true);
+    expect(paths()).toEqual(['/users/list']);
+    expect(targetRegistry.targets[0].getGroup()).toBe('users');
+  });
+
+  it('should replace the endpoints of a changed file', async () => {
+    fs.writeFileSync(file, targetSource('/list'));
+    await reloadTargets(baseDir);
+
+    fs.writeFileSync(file, targetSource('/all'));
+    expect(await reloadTargets(baseDir)).toBe(true);
+    expect(paths()).toEqual(['/users/all']);
+    expect(targetRegistry.aim('/users/all', 'GET')).not.toBeNull();
+    expect(targetRegistry.aim('/users/list', 'GET')).toBeNull();
+  });
+
+  it('should keep the previous endpoints when the file fails to import', async () => {
+    fs.writeFileSync(file, targetSource('/list'));
+    await reloadTargets(baseDir);
+
+    fs.writeFileSync(file, `${targetSource('/all')}\nconst = ;\n`);
+    expect(await reloadTargets(baseDir)).toBe(false);
+    expect(paths()).toEqual(['/users/list']);
+  });
+
+  it('should drop endpoints registered before a runtime error', async () => {
+    fs.writeFileSync(file, targetSource('/list'));
+    await reloadTargets(baseDir);
+
+    fs.writeFileSync(
+      file,
+      `${targetSource('/all')}\nthrow new Error('boom');\n`,
+    );
+    expect(await reloadTargets(baseDir)).toBe(false);
+    expect(paths()).toEqual(['/users/list']);
+  });
+
+  describe('with a target mounted from another file', () => {
+    /**
+     * Loads the targets directory, then writes each change and reloads, in
+     * a separate Node process: Vitest's module runner bypasses the module
+     * resolution hooks that reach imported target files.
+     *
+     * @param {Object<string, string>[]} changes - File name → new source, per reload
+     * @returns {{ ok: boolean, endpoints: string[][] }[]} Per load: its result, and the path and middleware names of each endpoint
+     */
+    const reloadInNode = (changes) => {
+      const script = `
+import fs from 'node:fs';
+import path from 'node:path';
+import targetRegistry from '${registryUrl}';
+import { reloadTargets } from '${watcherUrl}';
+
+const baseDir = ${JSON.stringify(baseDir)};
+const load = async () => ({
+  ok: await reloadTargets(baseDir),
+  endpoints: targetRegistry.targets.map((t) => [
+    t.getPath(),
+    ...t.getMiddlewares().map((m) => m.name),
+  ]),
+});
+const results = [await load()];
+for (const change of ${JSON.stringify(changes)}) {
+  for (const [name, source] of Object.entries(change)) {
+    fs.writeFileSync(path.join(baseDir, name), source);
+  }
+  results.push(await load());
+}
+console.log(JSON.stringify(results));
+`;
+      const output = execFileSync(
+        process.execPath,
+        ['--input-type=module', '-e', script],
+        { encoding: 'utf8', timeout: 10000 },
+      );
+      return JSON.parse(output.trim().split('\n').pop());
+    };
+
+    beforeEach(() => {
+      fs.writeFileSync(file, targetSource('/list'));
+      fs.writeFileSync(
+        path.join(baseDir, 'api.target.js'),
+        parentSource('/v1'),
+      );
+    });
+
+    it('should mount the new child when the child file changes', () => {
+      const [loaded, reloaded] = reloadInNode([
+        { 'users.target.js': targetSource('/all') },
+      ]);
+      expect(loaded).toEqual({
+        ok: true,
+        endpoints: [['/api/v1/users/list', 'auth']],
+      });
+      expect(reloaded).toEqual({
+        ok: true,
+        endpoints: [['/api/v1/users/all', 'auth']],
+      });
+    });
+
+    it('should mount the child again when the parent file changes', () => {
+      const [, reloaded] = reloadInNode([
+        { 'api.target.js': parentSource('/v2') },
+      ]);
+      expect(reloaded).toEqual({
+        ok: true,
+        endpoints: [['/api/v2/users/list', 'auth']],
+      });
+    });
+
+    it('should keep the mounted endpoints when the child fails to import', () => {
+      const [, failed, fixed] = reloadInNode([
+        { 'users.target.js': `${targetSource('/all')}\nconst = ;\n` },
+        { 'users.target.js': targetSource('/all') },
+      ]);
+      expect(failed).toEqual({
+        ok: false,
+        endpoints: [['/api/v1/users/list', 'auth']],
+      });
+      expect(fixed).toEqual({
+        ok: true,
+        endpoints: [['/api/v1/users/all', 'auth']],
+      });
+    });
+  });
+
+  it('should remove the endpoints of a deleted file', async () => {
+    fs.writeFileSync(file, targetSource('/list'));
+    await reloadTargets(baseDir);
+
+    fs.rmSync(file);
+    expect(await reloadTargets(baseDir)).toBe(true);
+    expect(paths()).toEqual([]);
+  });
+});
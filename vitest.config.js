@@ -12,6 +12,8 @@ export default defineConfig({
       'rate-limit/**/*.test.js',
       'utils/**/*.test.js',
       'cors/**/*.test.js',
+      'compression/**/*.test.js',
+      'static/**/*.test.js',
       'radar/**/*.test.js',
       'lib/**/*.test.js',
       'auto-docs/**/*.test.js',